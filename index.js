@@ -1,6 +1,85 @@
 export { ComponentDatabase } from './lib/dynamodb.js';
 export { ComponentStorage } from './lib/s3.js';
+export {
+  FileTypes,
+  UploadCategories,
+  detectFileType,
+  checkUpload
+} from './lib/filetypes.js';
 export { ComponentAnalyzer } from './lib/rekognition.js';
-export { StockAlerts } from './lib/sns.js';
-export { CognitoAuth } from './lib/cognito.js';
-export { ComponentTypes, StockThresholds } from './lib/constants.js';
+export { StockAlerts, AlertLevels } from './lib/sns.js';
+export { MemoryAlertStateStore, DynamoDBAlertStateStore } from './lib/alertstate.js';
+export { StockDigest, DigestFrequencies } from './lib/digest.js';
+export {
+  AlertTemplates,
+  DefaultTemplates,
+  DefaultBranding,
+  interpolate,
+  escapeHtml
+} from './lib/templates.js';
+export { CognitoAuth, TokenVerificationError } from './lib/cognito.js';
+export {
+  Roles,
+  Actions,
+  RolePermissions,
+  AccessDeniedError,
+  parseGroupMemberships,
+  resolveAccess
+} from './lib/access.js';
+export {
+  ComponentTypes,
+  StockThresholds,
+  ResistorColorCodes,
+  ResistorMultipliers,
+  ResistorTolerances,
+  ResistorTempCoefficients
+} from './lib/constants.js';
+export {
+  Quantities,
+  QuantityUnits,
+  parseValue,
+  formatValue,
+  compareValues,
+  normalizeComponentValues
+} from './lib/units.js';
+export {
+  decodeColorBands,
+  encodeColorBands,
+  normalizeBandColor
+} from './lib/colorbands.js';
+export {
+  decodeMarking,
+  decodeMarkingText,
+  decodeResistorMarking,
+  decodeCapacitorMarking,
+  decodeInductorMarking
+} from './lib/markings.js';
+export { PartNumberParser, DefaultPartNumberGrammars } from './lib/partnumbers.js';
+export {
+  KeywordClassifier,
+  CustomLabelsClassifier,
+  FunctionClassifier,
+  DefaultTypeKeywords,
+  mergeClassifications,
+  toComponentType
+} from './lib/classifiers.js';
+export { ComponentCatalog } from './lib/catalog.js';
+export {
+  DefaultForecastSettings,
+  summarizeMovements,
+  forecastStockout,
+  suggestReorder
+} from './lib/analytics.js';
+export { ComponentSchema, DefaultComponentFields, ProtectedComponentFields } from './lib/schema.js';
+export { ApiRouter, ApiResponse, createInventoryApi } from './lib/router.js';
+export {
+  InventoryError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ThrottledError,
+  UpstreamError,
+  fromAwsError
+} from './lib/errors.js';
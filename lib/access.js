@@ -0,0 +1,106 @@
+import { ForbiddenError } from './errors.js';
+
+export const Roles = {
+  VIEWER: 'viewer',
+  EDITOR: 'editor',
+  ADMIN: 'admin'
+};
+
+export const Actions = {
+  READ: 'read',
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
+export const RolePermissions = {
+  [Roles.VIEWER]: [Actions.READ],
+  [Roles.EDITOR]: [Actions.READ, Actions.CREATE, Actions.UPDATE],
+  [Roles.ADMIN]: [Actions.READ, Actions.CREATE, Actions.UPDATE, Actions.DELETE]
+};
+
+// Partition key prefix for organization inventories
+const ORG_PREFIX = 'org#';
+
+// Default Cognito group naming: "org:<orgId>:<role>"
+export const DEFAULT_GROUP_PATTERN = /^org:(?<orgId>[^:]+):(?<role>viewer|editor|admin)$/;
+
+/**
+ * Raised when the acting user may not touch an inventory or file
+ */
+export class AccessDeniedError extends ForbiddenError {}
+
+/**
+ * Read organization memberships from `cognito:groups`
+ *
+ * Returns `[{ orgId, role }]`, keeping the highest role per organization.
+ */
+export function parseGroupMemberships(groups = [], pattern = DEFAULT_GROUP_PATTERN) {
+  const rank = role => Object.values(Roles).indexOf(role);
+  const memberships = new Map();
+
+  for (const group of groups) {
+    const match = group.match(pattern);
+    if (!match?.groups?.orgId || !RolePermissions[match.groups.role]) {
+      continue;
+    }
+    const { orgId, role } = match.groups;
+    if (!memberships.has(orgId) || rank(role) > rank(memberships.get(orgId))) {
+      memberships.set(orgId, role);
+    }
+  }
+
+  return [...memberships].map(([orgId, role]) => ({ orgId, role }));
+}
+
+/**
+ * Resolve who is acting on which inventory, and check they may do it
+ *
+ * `owner` is either a user ID (the user's personal inventory, with full
+ * access) or an access context `{ userId, orgId, memberships }` as returned
+ * by `CognitoAuth.getUserContext`. Returns `{ partitionKey, actorId, orgId,
+ * role }` or throws AccessDeniedError.
+ */
+export function resolveAccess(owner, action) {
+  if (typeof owner === 'string') {
+    if (owner.startsWith(ORG_PREFIX)) {
+      throw new AccessDeniedError('Organization inventories require an access context');
+    }
+    return { partitionKey: owner, actorId: owner, orgId: null, role: Roles.ADMIN };
+  }
+
+  if (!owner || !owner.userId) {
+    throw new AccessDeniedError('No user in access context');
+  }
+
+  if (!owner.orgId) {
+    return { partitionKey: owner.userId, actorId: owner.userId, orgId: null, role: Roles.ADMIN };
+  }
+
+  let role = owner.role;
+  if (owner.memberships) {
+    const membership = owner.memberships.find(m => m.orgId === owner.orgId);
+    if (!membership) {
+      throw new AccessDeniedError(`User is not a member of organization "${owner.orgId}"`);
+    }
+    role = membership.role;
+  }
+
+  if (!RolePermissions[role]?.includes(action)) {
+    throw new AccessDeniedError(`Role "${role || 'none'}" may not ${action} components in organization "${owner.orgId}"`);
+  }
+
+  return {
+    partitionKey: `${ORG_PREFIX}${owner.orgId}`,
+    actorId: owner.userId,
+    orgId: owner.orgId,
+    role
+  };
+}
+
+/**
+ * Path segment used for an inventory's files in S3
+ */
+export function storagePathFor(access) {
+  return access.orgId ? `orgs/${access.orgId}` : access.partitionKey;
+}
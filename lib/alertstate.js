@@ -0,0 +1,89 @@
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, PutCommand } from '@aws-sdk/lib-dynamodb';
+import { fromAwsError } from './errors.js';
+
+/**
+ * Alert state kept in memory
+ *
+ * State lasts only as long as the process (one Lambda container), so
+ * alerts repeat whenever another container handles a change. Pass it as
+ * `stateStore` for tests and local runs only; StockAlerts uses
+ * DynamoDBAlertStateStore by default.
+ */
+export class MemoryAlertStateStore {
+  constructor() {
+    this.states = new Map();
+  }
+
+  async get(key) {
+    return this.states.get(key) || null;
+  }
+
+  /**
+   * Replace the state for `key` only if it is still the `expected` one
+   *
+   * States carry a `revision` that each write increments. Returns false
+   * when another caller changed the state first.
+   */
+  async compareAndSet(key, expected, next) {
+    const current = this.states.get(key) || null;
+    if ((current?.revision || 0) !== (expected?.revision || 0)) {
+      return false;
+    }
+    this.states.set(key, { ...next, revision: (expected?.revision || 0) + 1 });
+    return true;
+  }
+}
+
+/**
+ * Alert state stored in DynamoDB
+ *
+ * The table needs a string partition key `alertKey`. Writes are conditional
+ * on the state read, so two functions handling the same stock change cannot
+ * both send the alert.
+ */
+export class DynamoDBAlertStateStore {
+  constructor(config = {}) {
+    const client = new DynamoDBClient({
+      region: config.region || process.env.AWS_REGION || 'us-east-1'
+    });
+    this.docClient = DynamoDBDocumentClient.from(client);
+    this.tableName = config.tableName || process.env.ALERT_STATE_TABLE || 'CircuitStreamAlertState';
+  }
+
+  async get(key) {
+    try {
+      const result = await this.docClient.send(new GetCommand({
+        TableName: this.tableName,
+        Key: { alertKey: key },
+        ConsistentRead: true
+      }));
+      return result.Item || null;
+    } catch (error) {
+      throw fromAwsError(error, 'DynamoDB');
+    }
+  }
+
+  async compareAndSet(key, expected, next) {
+    const params = {
+      TableName: this.tableName,
+      Item: { ...next, alertKey: key, revision: (expected?.revision || 0) + 1 }
+    };
+    if (expected?.revision) {
+      params.ConditionExpression = 'revision = :expected';
+      params.ExpressionAttributeValues = { ':expected': expected.revision };
+    } else {
+      params.ConditionExpression = 'attribute_not_exists(alertKey)';
+    }
+
+    try {
+      await this.docClient.send(new PutCommand(params));
+      return true;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      throw fromAwsError(error, 'DynamoDB');
+    }
+  }
+}
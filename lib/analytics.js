@@ -0,0 +1,100 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Defaults for forecasts when neither the call nor the component says otherwise
+export const DefaultForecastSettings = {
+  windowDays: 30,
+  leadTimeDays: 14,
+  safetyDays: 7,
+  coverDays: 30
+};
+
+/**
+ * Start of a trailing window of `days` ending at `now`, as an ISO timestamp
+ */
+export function windowStart(days, now = new Date()) {
+  return new Date(now.getTime() - days * DAY_MS).toISOString();
+}
+
+/**
+ * Total consumption and receipts in a list of ledger movements
+ *
+ * Negative deltas count as consumption (only those with a reason in
+ * `reasons`, when given); positive deltas other than the opening `initial`
+ * movement count as received. `dailyRate` is consumption per day over
+ * `windowDays`.
+ */
+export function summarizeMovements(movements, windowDays, options = {}) {
+  const { reasons } = options;
+  let consumed = 0;
+  let received = 0;
+
+  for (const movement of movements) {
+    if (movement.delta < 0 && (!reasons || reasons.includes(movement.reason))) {
+      consumed -= movement.delta;
+    } else if (movement.delta > 0 && movement.reason !== 'initial') {
+      received += movement.delta;
+    }
+  }
+
+  return {
+    days: windowDays,
+    consumed,
+    received,
+    movements: movements.length,
+    dailyRate: windowDays > 0 ? consumed / windowDays : 0
+  };
+}
+
+/**
+ * Project when stock runs out at a constant daily consumption rate
+ *
+ * Returns `{ daysUntilStockout, stockoutDate }`; both are null when nothing
+ * is being consumed.
+ */
+export function forecastStockout(quantity, dailyRate, now = new Date()) {
+  if (quantity <= 0) {
+    return { daysUntilStockout: 0, stockoutDate: now.toISOString() };
+  }
+  if (!dailyRate || dailyRate <= 0) {
+    return { daysUntilStockout: null, stockoutDate: null };
+  }
+
+  const days = quantity / dailyRate;
+  return {
+    daysUntilStockout: Math.round(days * 10) / 10,
+    stockoutDate: new Date(now.getTime() + days * DAY_MS).toISOString()
+  };
+}
+
+/**
+ * Suggest when and how much to reorder
+ *
+ * The reorder point covers demand over the supplier lead time plus safety
+ * stock (given in units, or as `safetyDays` of demand), and is never below
+ * the component's `minStockLevel`. When stock is at or below it, the
+ * suggested quantity tops stock up to the reorder point plus `coverDays`
+ * of demand.
+ */
+export function suggestReorder(settings) {
+  const {
+    quantity,
+    dailyRate,
+    leadTimeDays = DefaultForecastSettings.leadTimeDays,
+    safetyDays = DefaultForecastSettings.safetyDays,
+    coverDays = DefaultForecastSettings.coverDays,
+    minStockLevel = 0
+  } = settings;
+
+  const safetyStock = settings.safetyStock ?? Math.ceil(dailyRate * safetyDays);
+  const reorderPoint = Math.max(Math.ceil(dailyRate * leadTimeDays + safetyStock), minStockLevel);
+  const needsReorder = quantity <= reorderPoint;
+  const target = reorderPoint + Math.ceil(dailyRate * coverDays);
+
+  return {
+    leadTimeDays,
+    safetyStock,
+    reorderPoint,
+    needsReorder,
+    reorderQuantity: needsReorder ? Math.max(target - quantity, 0) : 0
+  };
+}
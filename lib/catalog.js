@@ -0,0 +1,426 @@
+import { ComponentDatabase } from './dynamodb.js';
+import { ComponentStorage } from './s3.js';
+import { ComponentAnalyzer } from './rekognition.js';
+import { ComponentTypes } from './constants.js';
+import { parseValue, getValueQuantity } from './units.js';
+import { AccessDeniedError, resolveAccess, Actions } from './access.js';
+import { ValidationError, NotFoundError } from './errors.js';
+
+// Files newer than this may belong to an upload that is not yet completed
+const SWEEP_MIN_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Analysis keys that carry an engineering value, by component type
+const VALUE_ANALYSES = {
+  [ComponentTypes.RESISTOR]: 'resistor',
+  [ComponentTypes.CAPACITOR]: 'capacitor',
+  [ComponentTypes.INDUCTOR]: 'inductor'
+};
+
+function normalizePartNumber(partNumber) {
+  return String(partNumber || '').toUpperCase().replace(/[\s-]+/g, '');
+}
+
+/**
+ * Pull the identified part number, value and ratings out of an analysis
+ */
+function extractIdentity(analysisResult) {
+  const { type, analysis } = analysisResult;
+  const identity = { componentType: type };
+
+  const part = analysis.ic?.partNumber;
+  if (part) {
+    identity.partNumber = part.partNumber;
+    identity.basePart = part.basePart;
+    identity.manufacturer = part.manufacturer;
+    identity.package = part.package;
+  }
+
+  const valueAnalysis = analysis[VALUE_ANALYSES[type]];
+  if (valueAnalysis?.estimatedValue) {
+    const candidate = valueAnalysis.marking?.candidates[0];
+    const numeric = candidate?.normalizedValue
+      ?? valueAnalysis.colorCode?.resistance
+      ?? parseValue(valueAnalysis.estimatedValue, getValueQuantity(type))?.value;
+
+    identity.value = candidate?.value || valueAnalysis.estimatedValue.replace(/\s*±.*$/, '');
+    identity.normalizedValue = numeric ?? null;
+    identity.tolerance = candidate?.tolerance
+      || (valueAnalysis.colorCode ? `±${valueAnalysis.colorCode.tolerance}%` : valueAnalysis.tolerance);
+    identity.voltageRating = valueAnalysis.voltage || candidate?.voltageRating;
+  }
+
+  return identity;
+}
+
+/**
+ * Identify-and-catalog pipeline over S3, Rekognition and DynamoDB
+ *
+ * Methods take an `owner` (user ID or access context) like ComponentDatabase.
+ */
+export class ComponentCatalog {
+  constructor(config = {}) {
+    this.database = config.database || new ComponentDatabase(config);
+    this.storage = config.storage || new ComponentStorage(config);
+    this.analyzer = config.analyzer || new ComponentAnalyzer(config);
+  }
+
+  /**
+   * Upload and analyze an image, then propose how to catalog the part
+   *
+   * Returns `{ image, analysis, summary, match, proposal }`. The proposal is
+   * either `{ action: 'create', component }` for a new inventory record or
+   * `{ action: 'increment', componentId, quantity }` when the part matches
+   * an existing component by part number, or by type and normalized value.
+   * Pass it to `accept` to apply it.
+   */
+  async identify(owner, imageBuffer, options = {}) {
+    const { contentType, quantity = 1 } = options;
+
+    const image = await this.storage.uploadIdentificationImage(owner, imageBuffer, contentType);
+    const analysis = await this.analyzer.analyzeComponent({ bucket: image.bucket, key: image.key });
+    const identity = extractIdentity(analysis);
+    const match = await this.findMatch(owner, identity);
+
+    const proposal = match
+      ? {
+        action: 'increment',
+        componentId: match.component.componentId,
+        quantity,
+        image: { key: image.key }
+      }
+      : {
+        action: 'create',
+        component: this.buildComponentRecord(identity, analysis, quantity),
+        image: { key: image.key }
+      };
+
+    return {
+      image,
+      analysis,
+      summary: this.analyzer.generateIdentificationSummary(analysis),
+      match,
+      proposal
+    };
+  }
+
+  /**
+   * Find an existing component matching an identified part
+   *
+   * Returns `{ component, matchedBy }` or null.
+   */
+  async findMatch(owner, identity) {
+    if (identity.partNumber) {
+      const wanted = [identity.partNumber, identity.basePart].map(normalizePartNumber);
+      const candidates = await this.database.searchComponents(owner, identity.basePart || identity.partNumber);
+      const component = candidates.find(c => wanted.includes(normalizePartNumber(c.partNumber)));
+      if (component) {
+        return { component, matchedBy: 'partNumber' };
+      }
+    }
+
+    if (identity.normalizedValue !== undefined && identity.normalizedValue !== null) {
+      const [component] = await this.database.findComponentsByParameters(owner, {
+        value: { equals: identity.normalizedValue }
+      }, { type: identity.componentType });
+      if (component) {
+        return { component, matchedBy: 'value' };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a new component record from an identified part
+   */
+  buildComponentRecord(identity, analysis, quantity) {
+    const typeName = identity.componentType.replace(/_/g, ' ');
+    const record = {
+      name: identity.basePart || (identity.value ? `${identity.value} ${typeName}` : `Unidentified ${typeName}`),
+      componentType: Object.values(ComponentTypes).includes(identity.componentType)
+        ? identity.componentType
+        : ComponentTypes.OTHER,
+      quantity
+    };
+
+    for (const field of ['partNumber', 'manufacturer', 'package', 'value', 'tolerance', 'voltageRating']) {
+      if (identity[field]) {
+        record[field] = identity[field];
+      }
+    }
+    record.identificationConfidence = analysis.confidence;
+
+    return record;
+  }
+
+  /**
+   * Apply a proposal from `identify`
+   *
+   * `overrides` are merged into a new component record (for example a name
+   * the user corrected). The identification image is moved under the
+   * component's images/ prefix and recorded in its `attachments`. Returns
+   * `{ action, component, image }`.
+   */
+  async accept(owner, proposal, overrides = {}) {
+    let component;
+
+    if (proposal.action === 'create') {
+      component = await this.database.createComponent(owner, { ...proposal.component, ...overrides });
+    } else if (proposal.action === 'increment') {
+      component = await this.database.receiveStock(
+        owner,
+        proposal.componentId,
+        overrides.quantity ?? proposal.quantity,
+        { reason: 'identification' }
+      );
+    } else {
+      throw new ValidationError(`Unknown proposal action "${proposal.action}"`);
+    }
+
+    let image = null;
+    if (proposal.image?.key) {
+      image = await this.storage.moveIdentificationImage(owner, proposal.image.key, component.componentId);
+      component = await this.database.addAttachment(owner, component.componentId, {
+        kind: 'image',
+        key: image.key,
+        contentType: image.contentType,
+        size: image.size
+      });
+    }
+
+    return { action: proposal.action, component, image };
+  }
+
+  /**
+   * Reject a proposal and remove its identification image
+   */
+  async discard(owner, proposal) {
+    if (proposal.image?.key) {
+      if (!proposal.image.key.startsWith(this.storage.getIdentificationPrefix(owner))) {
+        throw new AccessDeniedError('Identification image does not belong to this inventory');
+      }
+      await this.storage.deleteFile(owner, proposal.image.key);
+    }
+    return { success: true };
+  }
+
+  /**
+   * Finish a client upload made with a presigned POST or PUT
+   *
+   * Checks the object with `ComponentStorage.verifyUpload` and records it
+   * in the component's `attachments`. Returns `{ attachment, component }`.
+   */
+  async completeUpload(owner, componentId, key) {
+    await this.database.getComponent(owner, componentId);
+    const upload = await this.storage.verifyUpload(owner, componentId, key);
+    return this.recordUpload(owner, componentId, upload);
+  }
+
+  /**
+   * Finish a client multipart upload from `ComponentStorage.createMultipartUpload`
+   *
+   * Assembles the parts (`[{ partNumber, etag }]`), checks the object and
+   * records it as `completeUpload` does. Returns `{ attachment, component }`.
+   */
+  async completeMultipartUpload(owner, componentId, { key, uploadId, parts }) {
+    await this.database.getComponent(owner, componentId);
+    const upload = await this.storage.completeMultipartUpload(owner, componentId, key, uploadId, parts);
+    return this.recordUpload(owner, componentId, upload);
+  }
+
+  /**
+   * Record a verified upload in the component's `attachments`
+   */
+  async recordUpload(owner, componentId, upload) {
+    const { key } = upload;
+    const attachment = {
+      kind: upload.kind,
+      key: upload.key,
+      contentType: upload.contentType,
+      size: upload.size,
+      uploadedBy: upload.uploadedBy
+    };
+    const component = await this.database.addAttachment(owner, componentId, attachment);
+    return {
+      attachment: component.attachments.find(existing => existing.key === key),
+      component
+    };
+  }
+
+  /**
+   * Upload a file from the server and record it in the component's
+   * `attachments`
+   *
+   * `kind` is an upload category (image, datasheet or cad) and `body` a
+   * Buffer or readable stream; `options` are as for
+   * `ComponentStorage.uploadFile` and `uploadStream`. The object is removed again if
+   * it cannot be recorded. Returns `{ attachment, component }`.
+   */
+  async attachFile(owner, componentId, kind, body, options = {}) {
+    await this.database.getComponent(owner, componentId);
+    const upload = await this.storage.uploadFile(owner, componentId, kind, body, options);
+
+    let component;
+    try {
+      component = await this.database.addAttachment(owner, componentId, {
+        kind,
+        key: upload.key,
+        contentType: upload.contentType,
+        size: upload.size,
+        ...(options.primary !== undefined && { primary: options.primary })
+      });
+    } catch (error) {
+      await this.storage.deleteFile(owner, upload.key);
+      throw error;
+    }
+
+    return {
+      attachment: component.attachments.find(existing => existing.key === upload.key),
+      component
+    };
+  }
+
+  /**
+   * Remove an attachment record and delete its object
+   *
+   * Returns `{ attachment, component }`.
+   */
+  async removeAttachment(owner, componentId, key) {
+    const result = await this.database.removeAttachment(owner, componentId, key);
+    await this.storage.deleteFile(owner, key);
+    return result;
+  }
+
+  /**
+   * Delete a component and every file stored for it
+   *
+   * The record is deleted first; its files are then removed from S3, both
+   * those in `attachments` and anything else under the component's
+   * prefixes. If S3 fails the component stays deleted and the result's
+   * `files.failed` lists what was left behind for `sweepOrphans` to
+   * collect, with the S3 error's message in `files.error`. Returns the
+   * `ComponentDatabase.deleteComponent` result plus
+   * `files: { deleted, failed, error? }`.
+   */
+  async deleteComponent(owner, componentId) {
+    const result = await this.database.deleteComponent(owner, componentId);
+    const keys = new Set((result.component.attachments || []).map(attachment => attachment.key));
+    const files = { deleted: 0, failed: [] };
+
+    try {
+      for (const { prefix } of this.storage.getComponentPrefixes(owner, componentId)) {
+        for await (const file of this.storage.listFiles(prefix)) {
+          keys.add(file.key);
+        }
+      }
+      files.deleted = (await this.storage.deleteFiles(owner, [...keys])).deleted;
+    } catch (error) {
+      files.error = error.message;
+      files.failed = error.details?.failed?.map(failure => failure.key) || [...keys];
+      files.deleted = keys.size - files.failed.length;
+    }
+
+    return { ...result, files };
+  }
+
+  /**
+   * Reconcile an inventory's files in S3 with the attachments in DynamoDB
+   *
+   * Lists every component prefix and compares it with the components'
+   * `attachments`:
+   *
+   * - `orphaned`: objects of components that no longer exist, deleted
+   * - `adopted`: unrecorded objects of existing components, checked with
+   *   `ComponentStorage.verifyUpload` and recorded (files that fail the
+   *   check are deleted and listed in `rejected`)
+   * - `dangling`: attachment records under the scanned prefixes whose
+   *   object was not listed and is confirmed missing with a HEAD request,
+   *   removed (records of keys elsewhere are left alone)
+   *
+   * Objects newer than `options.minAgeMs` (default one day) are left
+   * alone, as their upload may still be completing. With `options.dryRun`
+   * nothing is changed and the report lists what would be. Needs delete
+   * permission on the inventory. Returns `{ scanned, orphaned, adopted,
+   * rejected, dangling, deleted, dryRun }`.
+   */
+  async sweepOrphans(owner, options = {}) {
+    const { dryRun = false, minAgeMs = SWEEP_MIN_AGE_MS, now = new Date() } = options;
+    resolveAccess(owner, Actions.DELETE);
+
+    const components = new Map();
+    for await (const component of this.database.iterateComponents(owner)) {
+      components.set(component.componentId, component);
+    }
+
+    const report = { scanned: 0, orphaned: [], adopted: [], rejected: [], dangling: [], deleted: 0, dryRun };
+    const found = new Set();
+    const prefixes = this.storage.getComponentPrefixes(owner).map(({ prefix }) => prefix);
+
+    for (const prefix of prefixes) {
+      for await (const file of this.storage.listFiles(prefix)) {
+        report.scanned++;
+        found.add(file.key);
+
+        const [componentId, filename] = file.key.substring(prefix.length).split('/');
+        if (!filename) {
+          continue;
+        }
+        const component = components.get(componentId);
+        if (component?.attachments?.some(attachment => attachment.key === file.key)) {
+          continue;
+        }
+        if (now.getTime() - new Date(file.lastModified).getTime() < minAgeMs) {
+          continue;
+        }
+
+        if (!component) {
+          report.orphaned.push(file.key);
+        } else if (dryRun) {
+          report.adopted.push(file.key);
+        } else {
+          try {
+            await this.completeUpload(owner, componentId, file.key);
+            report.adopted.push(file.key);
+          } catch (error) {
+            // Deleted while the sweep ran
+            if (error instanceof NotFoundError) {
+              continue;
+            }
+            if (!(error instanceof ValidationError)) {
+              throw error;
+            }
+            report.rejected.push({ key: file.key, code: error.code });
+            report.deleted++;
+          }
+        }
+      }
+    }
+
+    for (const component of components.values()) {
+      for (const { key } of component.attachments || []) {
+        if (found.has(key) || !prefixes.some(prefix => key.startsWith(prefix))) {
+          continue;
+        }
+        // Not listed, but it may have been uploaded since the listing
+        if (!await this.storage.fileExists(owner, key)) {
+          report.dangling.push({ componentId: component.componentId, key });
+        }
+      }
+    }
+
+    if (!dryRun) {
+      report.deleted += (await this.storage.deleteFiles(owner, report.orphaned)).deleted;
+      for (const { componentId, key } of report.dangling) {
+        try {
+          await this.database.removeAttachment(owner, componentId, key);
+        } catch (error) {
+          if (!(error instanceof NotFoundError)) {
+            throw error;
+          }
+        }
+      }
+    }
+
+    return report;
+  }
+}
@@ -0,0 +1,216 @@
+import { DetectCustomLabelsCommand } from '@aws-sdk/client-rekognition';
+import { ComponentTypes } from './constants.js';
+import { ValidationError, fromAwsError } from './errors.js';
+
+// Keyword → weight per component type. Generic words such as "cylinder"
+// only hint at a type, so they count for a fraction of the label confidence.
+export const DefaultTypeKeywords = {
+  [ComponentTypes.RESISTOR]: { resistor: 1, resistance: 1, band: 0.4, cylinder: 0.3, 'electronic component': 0.3 },
+  [ComponentTypes.CAPACITOR]: { capacitor: 1, electrolytic: 0.9, ceramic: 0.4 },
+  [ComponentTypes.LED]: { led: 1, 'light emitting': 1 },
+  [ComponentTypes.DIODE]: { diode: 1, rectifier: 0.8, semiconductor: 0.4 },
+  [ComponentTypes.TRANSISTOR]: { transistor: 1, mosfet: 1, bjt: 1 },
+  [ComponentTypes.IC]: { chip: 0.8, ic: 1, microchip: 1, 'integrated circuit': 1, processor: 0.8, 'circuit board': 0.3 },
+  [ComponentTypes.CONNECTOR]: { connector: 1, header: 0.8, socket: 0.8, pin: 0.4 },
+  [ComponentTypes.INDUCTOR]: { inductor: 1, coil: 0.7 },
+  [ComponentTypes.SWITCH]: { switch: 1, button: 0.6 },
+  [ComponentTypes.SENSOR]: { sensor: 1 }
+};
+
+const TYPE_ALIASES = {
+  ic: ComponentTypes.IC,
+  chip: ComponentTypes.IC,
+  'integrated circuit': ComponentTypes.IC,
+  microcontroller: ComponentTypes.IC,
+  'light emitting diode': ComponentTypes.LED,
+  cap: ComponentTypes.CAPACITOR,
+  res: ComponentTypes.RESISTOR,
+  coil: ComponentTypes.INDUCTOR,
+  mosfet: ComponentTypes.TRANSISTOR,
+  bjt: ComponentTypes.TRANSISTOR
+};
+
+const COMPONENT_TYPE_VALUES = Object.values(ComponentTypes);
+
+/**
+ * Map a classifier's type name onto a `ComponentTypes` value, or null
+ *
+ * Accepts the values themselves ("integrated_circuit"), the constant keys
+ * ("IC") and common names ("Integrated Circuit", "Chip").
+ */
+export function toComponentType(name) {
+  if (!name) {
+    return null;
+  }
+  const text = String(name).trim().toLowerCase().replace(/[_-]+/g, ' ');
+  const value = text.replace(/ /g, '_');
+
+  if (COMPONENT_TYPE_VALUES.includes(value)) {
+    return value;
+  }
+  if (ComponentTypes[value.toUpperCase()]) {
+    return ComponentTypes[value.toUpperCase()];
+  }
+  return TYPE_ALIASES[text] || null;
+}
+
+function containsCenter(outer, inner) {
+  const x = inner.Left + inner.Width / 2;
+  const y = inner.Top + inner.Height / 2;
+  return x >= outer.Left && x <= outer.Left + outer.Width && y >= outer.Top && y <= outer.Top + outer.Height;
+}
+
+function matchesKeyword(label, keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}s?\\b`).test(label);
+}
+
+/**
+ * Classify from generic DetectLabels output by keyword matching
+ */
+export class KeywordClassifier {
+  constructor(config = {}) {
+    this.name = config.name || 'keywords';
+    this.weight = config.weight ?? 1;
+    this.keywords = config.keywords || DefaultTypeKeywords;
+  }
+
+  /**
+   * Synchronous keyword matching over Rekognition labels
+   */
+  classifyLabels(labels) {
+    const matches = [];
+
+    for (const [type, keywords] of Object.entries(this.keywords)) {
+      let best = null;
+      for (const label of labels) {
+        const labelLower = label.Name.toLowerCase();
+        for (const [keyword, factor] of Object.entries(keywords)) {
+          const confidence = label.Confidence * factor;
+          if (matchesKeyword(labelLower, keyword) && (!best || confidence > best.confidence)) {
+            best = { type, confidence, matchedLabel: label.Name };
+          }
+        }
+      }
+      if (best) {
+        matches.push(best);
+      }
+    }
+
+    return matches.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  async classify(context) {
+    return this.classifyLabels(context.labels);
+  }
+}
+
+/**
+ * Classify with a trained Rekognition Custom Labels model
+ *
+ * `labelMap` maps model label names onto component types for labels that
+ * `toComponentType` cannot resolve itself; unmapped labels are ignored.
+ * For one object of a tray (`context.boundingBox`), the model runs once
+ * per image and only labels located inside the object's box count.
+ */
+export class CustomLabelsClassifier {
+  constructor(config = {}) {
+    if (!config.projectVersionArn) {
+      throw new ValidationError('CustomLabelsClassifier requires a projectVersionArn', { code: 'INVALID_CONFIG' });
+    }
+    this.name = config.name || 'custom_labels';
+    this.weight = config.weight ?? 1;
+    this.projectVersionArn = config.projectVersionArn;
+    this.labelMap = config.labelMap || {};
+    this.minConfidence = config.minConfidence;
+    // Detections per image parameter, shared by the objects of one tray
+    this.detections = new WeakMap();
+  }
+
+  async detect(context) {
+    if (!this.detections.has(context.image)) {
+      const request = context.client.send(new DetectCustomLabelsCommand({
+        ProjectVersionArn: this.projectVersionArn,
+        Image: context.image,
+        MinConfidence: this.minConfidence ?? context.minConfidence
+      })).catch(error => {
+        this.detections.delete(context.image);
+        throw fromAwsError(error, 'Rekognition Custom Labels');
+      });
+      this.detections.set(context.image, request);
+    }
+    return this.detections.get(context.image);
+  }
+
+  async classify(context) {
+    const result = await this.detect(context);
+
+    const matches = [];
+    for (const label of result.CustomLabels || []) {
+      const box = label.Geometry?.BoundingBox;
+      if (context.boundingBox && box && !containsCenter(context.boundingBox, box)) {
+        continue;
+      }
+      const type = this.labelMap[label.Name] || toComponentType(label.Name);
+      if (type && !matches.some(m => m.type === type)) {
+        matches.push({ type, confidence: label.Confidence, matchedLabel: label.Name });
+      }
+    }
+
+    return matches;
+  }
+}
+
+/**
+ * Wrap a user-supplied `(context) => matches` function as a classifier
+ */
+export class FunctionClassifier {
+  constructor(fn, config = {}) {
+    if (typeof fn !== 'function') {
+      throw new ValidationError('FunctionClassifier requires a function', { code: 'INVALID_CONFIG' });
+    }
+    this.fn = fn;
+    this.name = config.name || fn.name || 'custom';
+    this.weight = config.weight ?? 1;
+  }
+
+  async classify(context) {
+    const matches = await this.fn(context);
+    return (matches || [])
+      .map(match => ({ ...match, type: toComponentType(match.type) }))
+      .filter(match => match.type);
+  }
+}
+
+/**
+ * Merge several classifiers' matches by confidence weighting
+ *
+ * Each type scores the weighted mean of the confidences reported for it,
+ * where a classifier that did not report the type counts as 0. The result
+ * lists every type found, best first, with the per-classifier `sources`.
+ */
+export function mergeClassifications(results) {
+  const totalWeight = results.reduce((sum, r) => sum + r.weight, 0);
+  if (totalWeight === 0) {
+    return [];
+  }
+
+  const byType = new Map();
+  for (const { classifier, weight, matches } of results) {
+    for (const match of matches) {
+      const entry = byType.get(match.type) || { type: match.type, score: 0, sources: [] };
+      entry.score += weight * match.confidence;
+      entry.sources.push({ classifier, confidence: match.confidence, matchedLabel: match.matchedLabel });
+      byType.set(match.type, entry);
+    }
+  }
+
+  return [...byType.values()]
+    .map(({ type, score, sources }) => ({
+      type,
+      confidence: score / totalWeight,
+      matchedLabel: sources[0].matchedLabel,
+      sources
+    }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
@@ -1,12 +1,188 @@
+import { createPublicKey, verify } from 'crypto';
+import { InventoryError, UnauthorizedError, UpstreamError, errorCodeForStatus } from './errors.js';
+import { AccessDeniedError, DEFAULT_GROUP_PATTERN, Roles, parseGroupMemberships } from './access.js';
+
+const JWKS_CACHE_TTL = 60 * 60 * 1000;
+// Minimum wait before refetching the JWKS for an unknown key id
+const JWKS_REFETCH_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Raised when a token is missing or fails verification
+ *
+ * `code` says why: MISSING_TOKEN, MALFORMED_TOKEN, UNSUPPORTED_ALGORITHM,
+ * UNKNOWN_KEY, INVALID_SIGNATURE, TOKEN_EXPIRED, TOKEN_NOT_YET_VALID,
+ * INVALID_ISSUER, INVALID_AUDIENCE or INVALID_TOKEN_USE. It is an
+ * UnauthorizedError, so it maps to a 401 response. When the signing keys
+ * cannot be loaded an UpstreamError with code JWKS_UNAVAILABLE is raised
+ * instead, since the token itself may be fine.
+ */
+export class TokenVerificationError extends UnauthorizedError {
+  constructor(message, code, options = {}) {
+    super(message, { ...options, code });
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
 export class CognitoAuth {
   constructor(config = {}) {
     this.userPoolId = config.userPoolId || process.env.COGNITO_USER_POOL_ID;
     this.clientId = config.clientId || process.env.COGNITO_CLIENT_ID;
     this.region = config.region || process.env.AWS_REGION || 'us-east-1';
+    this.tokenUse = config.tokenUse || null;
+    this.clockTolerance = config.clockTolerance ?? 5;
+    this.jwksCacheTtl = config.jwksCacheTtl ?? JWKS_CACHE_TTL;
+    this.fetch = config.fetch || globalThis.fetch;
+    this.keys = null;
+    this.keysFetchedAt = 0;
+    this.groupPattern = config.groupPattern || DEFAULT_GROUP_PATTERN;
+    this.staticKeys = !!config.jwks;
+    if (config.jwks) {
+      this.keys = this.importJwks(config.jwks);
+    }
+  }
+
+  /**
+   * Issuer URL of the configured user pool
+   */
+  getIssuer() {
+    return `https://cognito-idp.${this.region}.amazonaws.com/${this.userPoolId}`;
+  }
+
+  /**
+   * Import a JWKS document into a map of key id to public key
+   */
+  importJwks(jwks) {
+    const keys = new Map();
+    for (const jwk of jwks.keys || []) {
+      if (jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig')) {
+        keys.set(jwk.kid, createPublicKey({ key: jwk, format: 'jwk' }));
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Fetch and cache the user pool's signing keys
+   */
+  async loadSigningKeys(forceRefresh = false) {
+    const age = Date.now() - this.keysFetchedAt;
+    if (this.staticKeys || (this.keys && !forceRefresh && age < this.jwksCacheTtl)) {
+      return this.keys;
+    }
+    if (this.keys && forceRefresh && age < JWKS_REFETCH_INTERVAL) {
+      return this.keys;
+    }
+
+    if (!this.userPoolId) {
+      throw new UpstreamError('No user pool configured for token verification', { code: 'JWKS_UNAVAILABLE' });
+    }
+
+    let jwks;
+    try {
+      const response = await this.fetch(`${this.getIssuer()}/.well-known/jwks.json`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      jwks = await response.json();
+    } catch (error) {
+      throw new UpstreamError(`Could not fetch signing keys: ${error.message}`, { code: 'JWKS_UNAVAILABLE', cause: error });
+    }
+
+    this.keys = this.importJwks(jwks);
+    this.keysFetchedAt = Date.now();
+    return this.keys;
+  }
+
+  /**
+   * Verify a Cognito JWT and return its claims
+   *
+   * Checks the RS256 signature against the user pool JWKS, then `exp`,
+   * `nbf`, `iss`, `token_use` and the audience (`aud` for ID tokens,
+   * `client_id` for access tokens) when a client ID is configured. Throws a
+   * TokenVerificationError whose `code` says why the token was rejected.
+   */
+  async verifyToken(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      throw new TokenVerificationError('Token is not a JWT', 'MALFORMED_TOKEN');
+    }
+
+    let header;
+    let payload;
+    try {
+      header = decodeSegment(parts[0]);
+      payload = decodeSegment(parts[1]);
+    } catch (error) {
+      throw new TokenVerificationError('Token header or payload is not valid JSON', 'MALFORMED_TOKEN');
+    }
+    if (!isObject(header) || !isObject(payload)) {
+      throw new TokenVerificationError('Token header and payload must be JSON objects', 'MALFORMED_TOKEN');
+    }
+
+    if (header.alg !== 'RS256') {
+      throw new TokenVerificationError(`Unsupported token algorithm "${header.alg}"`, 'UNSUPPORTED_ALGORITHM');
+    }
+
+    let keys = await this.loadSigningKeys();
+    if (!keys.has(header.kid)) {
+      // Keys may have rotated since they were cached
+      keys = await this.loadSigningKeys(true);
+    }
+    const key = keys.get(header.kid);
+    if (!key) {
+      throw new TokenVerificationError(`Token signed with unknown key "${header.kid}"`, 'UNKNOWN_KEY');
+    }
+
+    const signed = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], 'base64url');
+    if (!verify('RSA-SHA256', signed, key, signature)) {
+      throw new TokenVerificationError('Token signature is invalid', 'INVALID_SIGNATURE');
+    }
+
+    this.validateClaims(payload);
+    return payload;
+  }
+
+  /**
+   * Validate the time, issuer, token use and audience claims
+   */
+  validateClaims(payload) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (typeof payload.exp !== 'number' || payload.exp + this.clockTolerance < now) {
+      throw new TokenVerificationError('Token expired', 'TOKEN_EXPIRED');
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - this.clockTolerance > now) {
+      throw new TokenVerificationError('Token is not valid yet', 'TOKEN_NOT_YET_VALID');
+    }
+    if (payload.iss !== this.getIssuer()) {
+      throw new TokenVerificationError(`Token issued by "${payload.iss}", expected "${this.getIssuer()}"`, 'INVALID_ISSUER');
+    }
+
+    const allowedUses = this.tokenUse ? [this.tokenUse] : ['id', 'access'];
+    if (!allowedUses.includes(payload.token_use)) {
+      throw new TokenVerificationError(`Token use "${payload.token_use}" is not accepted`, 'INVALID_TOKEN_USE');
+    }
+
+    if (this.clientId) {
+      const audience = payload.token_use === 'id' ? payload.aud : payload.client_id;
+      if (audience !== this.clientId) {
+        throw new TokenVerificationError(`Token was issued for client "${audience}"`, 'INVALID_AUDIENCE');
+      }
+    }
   }
 
   /**
    * Parse JWT token to extract user information
+   *
+   * This only decodes the payload; use verifyToken to check it.
    */
   parseToken(token) {
     try {
@@ -22,7 +198,7 @@ export class CognitoAuth {
 
       return JSON.parse(jsonPayload);
     } catch (error) {
-      throw new Error('Invalid token format');
+      throw new TokenVerificationError('Invalid token format', 'MALFORMED_TOKEN');
     }
   }
 
@@ -62,7 +238,7 @@ export class CognitoAuth {
     const authHeader = event.headers?.Authorization || event.headers?.authorization;
     
     if (!authHeader) {
-      throw new Error('No authorization header found');
+      throw new TokenVerificationError('No authorization header found', 'MISSING_TOKEN');
     }
 
     if (authHeader.startsWith('Bearer ')) {
@@ -73,24 +249,51 @@ export class CognitoAuth {
   }
 
   /**
-   * Get user context from API Gateway event
+   * Get verified user context from API Gateway event
+   *
+   * Organization memberships come from `cognito:groups` named
+   * "org:<orgId>:<role>" (see `groupPattern`). The organization to act in is
+   * taken from `options.orgId` or the `X-Org-Id` header; without one the
+   * context refers to the user's personal inventory. Pass the returned
+   * context to ComponentDatabase methods in place of a user ID.
    */
-  getUserContext(event) {
+  async getUserContext(event, options = {}) {
+    let token;
+    let claims;
     try {
-      const token = this.extractTokenFromEvent(event);
-      
-      if (this.isTokenExpired(token)) {
-        throw new Error('Token expired');
+      token = this.extractTokenFromEvent(event);
+      claims = await this.verifyToken(token);
+    } catch (error) {
+      if (error instanceof InventoryError && !(error instanceof UnauthorizedError)) {
+        throw error;
       }
+      throw new TokenVerificationError(`Authentication failed: ${error.message}`, error.code || 'MALFORMED_TOKEN', { cause: error });
+    }
 
-      return {
-        userId: this.getUserIdFromToken(token),
-        email: this.getEmailFromToken(token),
-        token
-      };
-    } catch (error) {
-      throw new Error(`Authentication failed: ${error.message}`);
+    const groups = claims['cognito:groups'] || [];
+    const memberships = parseGroupMemberships(groups, this.groupPattern);
+    const orgId = options.orgId || event.headers?.['X-Org-Id'] || event.headers?.['x-org-id'] || null;
+
+    let role = Roles.ADMIN;
+    if (orgId) {
+      const membership = memberships.find(m => m.orgId === orgId);
+      if (!membership) {
+        throw new AccessDeniedError(`User is not a member of organization "${orgId}"`);
+      }
+      role = membership.role;
     }
+
+    return {
+      userId: claims.sub || claims['cognito:username'],
+      email: claims.email,
+      locale: claims.locale || null,
+      token,
+      claims,
+      groups,
+      memberships,
+      orgId,
+      role
+    };
   }
 
   /**
@@ -99,7 +302,7 @@ export class CognitoAuth {
   getCorsHeaders(origin = '*') {
     return {
       'Access-Control-Allow-Origin': origin,
-      'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Org-Id,If-Match',
       'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
     };
   }
@@ -121,11 +324,32 @@ export class CognitoAuth {
 
   /**
    * Create error response
+   *
+   * Pass either an error or a status code and message. Typed errors
+   * (InventoryError subclasses) map to their status and `code`, with any
+   * `details`; other errors become a 500 without their message, so internal
+   * failures are not leaked to clients. The body is `{ error, code,
+   * timestamp, details? }`.
    */
-  createErrorResponse(statusCode, message) {
+  createErrorResponse(statusCodeOrError, message) {
+    let statusCode = statusCodeOrError;
+    let code = errorCodeForStatus(statusCodeOrError);
+    let details;
+
+    if (statusCodeOrError instanceof InventoryError) {
+      ({ statusCode, code, details } = statusCodeOrError);
+      message = message || statusCodeOrError.message;
+    } else if (statusCodeOrError instanceof Error) {
+      statusCode = 500;
+      code = InventoryError.code;
+      message = message || 'Internal server error';
+    }
+
     return this.createResponse(statusCode, {
       error: message,
-      timestamp: new Date().toISOString()
+      code,
+      timestamp: new Date().toISOString(),
+      ...(details !== undefined && { details })
     });
   }
 }
@@ -0,0 +1,145 @@
+import {
+  ResistorColorCodes,
+  ResistorMultipliers,
+  ResistorTolerances,
+  ResistorTempCoefficients
+} from './constants.js';
+import { parseValue, formatValue, Quantities } from './units.js';
+import { ValidationError } from './errors.js';
+
+const COLOR_ALIASES = {
+  GRAY: 'GREY',
+  PURPLE: 'VIOLET'
+};
+
+// Tolerance when a 3-band resistor has no tolerance band
+const NO_BAND_TOLERANCE = 20;
+
+export const ResistorBandColors = Object.keys(ResistorMultipliers);
+
+/**
+ * Normalize a color name ("gray", "Purple", "gold") to its band constant key
+ */
+export function normalizeBandColor(color) {
+  if (typeof color !== 'string') {
+    return null;
+  }
+  const upper = color.trim().toUpperCase();
+  const name = COLOR_ALIASES[upper] || upper;
+  return ResistorBandColors.includes(name) ? name : null;
+}
+
+function lookup(table, color, role, position) {
+  const value = table[color];
+  if (value === undefined) {
+    throw new ValidationError(`${color} is not a valid ${role} band (band ${position})`);
+  }
+  return value;
+}
+
+/**
+ * Decode an ordered sequence of 3, 4, 5 or 6 resistor color bands
+ *
+ * Returns `{ resistance, tolerance, temperatureCoefficient, display, bands }`
+ * where resistance is in ohms, tolerance in percent and the temperature
+ * coefficient in ppm/K (or `null` if there is no tempco band). A sequence
+ * that starts with a gold or silver band is read in reverse.
+ */
+export function decodeColorBands(bands) {
+  if (!Array.isArray(bands) || bands.length < 3 || bands.length > 6) {
+    throw new ValidationError('Provide 3 to 6 color bands');
+  }
+
+  let colors = bands.map(band => {
+    const color = normalizeBandColor(band);
+    if (!color) {
+      throw new ValidationError(`Unknown band color "${band}"`);
+    }
+    return color;
+  });
+
+  if (['GOLD', 'SILVER'].includes(colors[0]) && !['GOLD', 'SILVER'].includes(colors[colors.length - 1])) {
+    colors = [...colors].reverse();
+  }
+
+  const digitCount = colors.length >= 5 ? 3 : 2;
+  const digitBands = colors.slice(0, digitCount);
+  const multiplierBand = colors[digitCount];
+  const toleranceBand = colors[digitCount + 1];
+  const tempcoBand = colors[digitCount + 2];
+
+  const digits = digitBands.map((color, i) => lookup(ResistorColorCodes, color, 'digit', i + 1));
+  const significand = parseInt(digits.join(''), 10);
+  const multiplier = lookup(ResistorMultipliers, multiplierBand, 'multiplier', digitCount + 1);
+  const resistance = parseFloat((significand * multiplier).toPrecision(12));
+
+  const tolerance = toleranceBand
+    ? lookup(ResistorTolerances, toleranceBand, 'tolerance', digitCount + 2)
+    : NO_BAND_TOLERANCE;
+  const temperatureCoefficient = tempcoBand
+    ? lookup(ResistorTempCoefficients, tempcoBand, 'temperature coefficient', digitCount + 3)
+    : null;
+
+  return {
+    resistance,
+    tolerance,
+    temperatureCoefficient,
+    display: `${formatValue(resistance, Quantities.RESISTANCE)} ±${tolerance}%`,
+    bands: colors
+  };
+}
+
+function findBandFor(table, value, role) {
+  const match = Object.entries(table).find(([, v]) => v === value);
+  if (!match) {
+    throw new ValidationError(`No ${role} band for ${value}`);
+  }
+  return match[0];
+}
+
+/**
+ * Encode a resistance into color bands
+ *
+ * `value` may be a number of ohms or a string such as "4k7". Options:
+ * `bands` (3, 4, 5 or 6; default 4), `tolerance` in percent (default 5 for
+ * 3/4-band and 1 for 5/6-band) and `temperatureCoefficient` in ppm/K for
+ * 6-band codes (default 100).
+ */
+export function encodeColorBands(value, options = {}) {
+  const bandCount = options.bands || 4;
+  if (![3, 4, 5, 6].includes(bandCount)) {
+    throw new ValidationError('bands must be 3, 4, 5 or 6');
+  }
+
+  const parsed = parseValue(value, Quantities.RESISTANCE);
+  if (!parsed || parsed.value <= 0) {
+    throw new ValidationError(`Invalid resistance "${value}"`);
+  }
+
+  const digitCount = bandCount >= 5 ? 3 : 2;
+  const exponent = Math.floor(Math.log10(parsed.value)) - (digitCount - 1);
+  const significand = Math.round(parsed.value / Math.pow(10, exponent));
+  const multiplier = parseFloat(Math.pow(10, exponent).toPrecision(12));
+
+  if (Math.abs(significand * multiplier - parsed.value) > parsed.value * 1e-9 || significand >= Math.pow(10, digitCount)) {
+    throw new ValidationError(`${formatValue(parsed.value, Quantities.RESISTANCE)} cannot be encoded with ${digitCount} significant digits`);
+  }
+
+  const digitBands = String(significand)
+    .split('')
+    .map(digit => findBandFor(ResistorColorCodes, Number(digit), 'digit'));
+  const colors = [...digitBands, findBandFor(ResistorMultipliers, multiplier, 'multiplier')];
+
+  if (bandCount === 3) {
+    return colors;
+  }
+
+  const tolerance = options.tolerance !== undefined ? options.tolerance : (digitCount === 3 ? 1 : 5);
+  colors.push(findBandFor(ResistorTolerances, tolerance, 'tolerance'));
+
+  if (bandCount === 6) {
+    colors.push(findBandFor(ResistorTempCoefficients, options.temperatureCoefficient || 100, 'temperature coefficient'));
+  }
+
+  return colors;
+}
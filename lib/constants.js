@@ -30,3 +30,42 @@ export const ResistorColorCodes = {
   GREY: 8,
   WHITE: 9
 };
+
+export const ResistorMultipliers = {
+  BLACK: 1,
+  BROWN: 10,
+  RED: 100,
+  ORANGE: 1e3,
+  YELLOW: 1e4,
+  GREEN: 1e5,
+  BLUE: 1e6,
+  VIOLET: 1e7,
+  GREY: 1e8,
+  WHITE: 1e9,
+  GOLD: 0.1,
+  SILVER: 0.01
+};
+
+export const ResistorTolerances = {
+  BROWN: 1,
+  RED: 2,
+  GREEN: 0.5,
+  BLUE: 0.25,
+  VIOLET: 0.1,
+  GREY: 0.05,
+  GOLD: 5,
+  SILVER: 10
+};
+
+// Temperature coefficient bands, in ppm/K
+export const ResistorTempCoefficients = {
+  BLACK: 250,
+  BROWN: 100,
+  RED: 50,
+  ORANGE: 15,
+  YELLOW: 25,
+  GREEN: 20,
+  BLUE: 10,
+  VIOLET: 5,
+  GREY: 1
+};
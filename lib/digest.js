@@ -0,0 +1,214 @@
+import { ComponentDatabase } from './dynamodb.js';
+import { StockAlerts, AlertLevels } from './sns.js';
+import { StockThresholds } from './constants.js';
+import { resolveAccess, Actions } from './access.js';
+import { ValidationError } from './errors.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often each digest frequency is sent
+export const DigestFrequencies = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS
+};
+
+// A run up to an hour early still counts, so scheduled invocations can drift
+const SCHEDULE_GRACE_MS = 60 * 60 * 1000;
+
+// Digest sections, most severe first
+const DIGEST_LEVELS = [AlertLevels.OUT_OF_STOCK, AlertLevels.CRITICAL, AlertLevels.LOW];
+
+const NO_LOCATION = 'Not specified';
+
+function byLocation(a, b) {
+  if (a.location === NO_LOCATION || b.location === NO_LOCATION) {
+    return (a.location === NO_LOCATION) - (b.location === NO_LOCATION);
+  }
+  return a.location.localeCompare(b.location);
+}
+
+function byQuantity(a, b) {
+  return (a.quantity || 0) - (b.quantity || 0)
+    || String(a.name || '').localeCompare(String(b.name || ''));
+}
+
+/**
+ * Scheduled low stock summaries over DynamoDB and SNS
+ *
+ * Instead of one message per component, a digest lists every component at
+ * or below its alert thresholds, grouped by severity and location. Methods
+ * take an `owner` (user ID or access context) like ComponentDatabase.
+ */
+export class StockDigest {
+  constructor(config = {}) {
+    this.database = config.database || new ComponentDatabase(config);
+    this.alerts = config.alerts || new StockAlerts(config);
+    this.stateStore = config.stateStore || this.alerts.stateStore;
+    this.suppressEmpty = config.suppressEmpty ?? true;
+    this.weekday = config.weekday ?? 1;
+  }
+
+  /**
+   * Collect the components needing attention for one inventory
+   *
+   * Thresholds are resolved per component as in `StockAlerts.checkAndAlert`;
+   * `options.thresholds` overrides them. Returns `{ userId, generatedAt,
+   * frequency, total, groups }`, where each group is `{ level, count, locations }` and
+   * each location `{ location, components }`. Severity levels with nothing
+   * in them are left out.
+   */
+  async buildDigest(owner, options = {}) {
+    const { thresholds = {}, frequency = null, now = new Date() } = options;
+    const typeLows = Object.values(this.alerts.typeThresholds).map(t => t.low || 0);
+    const threshold = thresholds.low ?? Math.max(StockThresholds.LOW, ...typeLows);
+
+    const candidates = await this.database.getLowStockComponents(owner, threshold, {
+      type: options.type,
+      ownThresholds: thresholds.low === undefined
+    });
+
+    const levels = new Map(DIGEST_LEVELS.map(level => [level, new Map()]));
+    let total = 0;
+    for (const component of candidates) {
+      const level = this.alerts.getAlertLevel(component, this.alerts.resolveThresholds(component, thresholds));
+      const locations = levels.get(level);
+      if (!locations) {
+        continue;
+      }
+      const location = component.location || NO_LOCATION;
+      if (!locations.has(location)) {
+        locations.set(location, []);
+      }
+      locations.get(location).push(component);
+      total++;
+    }
+
+    const groups = [];
+    for (const [level, locations] of levels) {
+      if (locations.size === 0) {
+        continue;
+      }
+      const entries = [...locations].map(([location, components]) => ({
+        location,
+        components: components.sort(byQuantity)
+      }));
+      groups.push({
+        level,
+        count: entries.reduce((sum, entry) => sum + entry.components.length, 0),
+        locations: entries.sort(byLocation)
+      });
+    }
+
+    const { partitionKey } = resolveAccess(owner, Actions.READ);
+    return { userId: partitionKey, generatedAt: now.toISOString(), frequency, total, groups };
+  }
+
+  /**
+   * Build and publish a digest for one inventory
+   *
+   * An empty digest is not sent unless `suppressEmpty` is off (in the
+   * config or `options`). Returns `{ sent, digest }` plus the publish
+   * result, or `suppressed: true` when there was nothing to report.
+   */
+  async sendDigest(owner, userEmail, options = {}) {
+    const digest = await this.buildDigest(owner, options);
+    if (digest.total === 0 && (options.suppressEmpty ?? this.suppressEmpty)) {
+      return { sent: false, suppressed: true, digest };
+    }
+
+    const result = await this.alerts.sendLowStockDigest(digest, userEmail);
+    return { sent: true, digest, ...result };
+  }
+
+  /**
+   * Whether a digest at `frequency` is due, given when the last one ran
+   *
+   * Weekly digests go out on `weekday` (0 is Sunday, UTC; default Monday).
+   */
+  isDue(frequency, lastRunAt, now = new Date(), weekday = this.weekday) {
+    const period = DigestFrequencies[frequency];
+    if (!period) {
+      throw new ValidationError(`frequency must be one of: ${Object.keys(DigestFrequencies).join(', ')}`);
+    }
+    if (frequency === 'weekly' && now.getUTCDay() !== weekday) {
+      return false;
+    }
+    if (!lastRunAt) {
+      return true;
+    }
+    return now.getTime() - new Date(lastRunAt).getTime() >= period - SCHEDULE_GRACE_MS;
+  }
+
+  /**
+   * Send every digest that is due, for a scheduled Lambda
+   *
+   * Each subscription is `{ owner, email, frequency, weekday?, locale?,
+   * thresholds?, suppressEmpty? }`, with `frequency` 'daily' or 'weekly'. Run it at least
+   * daily; the last run per subscription is kept in `stateStore`, so running
+   * more often (or twice at once) does not send extra digests. A failure for
+   * one subscription does not stop the rest. Returns one result per
+   * subscription, with `status` 'sent', 'empty', 'not_due' or 'failed'
+   * (with its `error` message).
+   */
+  async runScheduled(subscriptions, options = {}) {
+    const now = options.now || new Date();
+    const results = [];
+
+    for (const subscription of subscriptions) {
+      try {
+        results.push(await this.runSubscription(subscription, now));
+      } catch (error) {
+        results.push({
+          email: subscription.email,
+          frequency: subscription.frequency,
+          status: 'failed',
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Send one subscription's digest if it is due
+   */
+  async runSubscription(subscription, now) {
+    const { owner, email, frequency, weekday, locale } = subscription;
+    const { partitionKey } = resolveAccess(owner, Actions.READ);
+    const key = `digest#${partitionKey}#${email}#${frequency}`;
+    const base = { userId: partitionKey, email, frequency };
+
+    const previous = await this.stateStore.get(key);
+    if (!this.isDue(frequency, previous?.lastRunAt, now, weekday ?? this.weekday)) {
+      return { ...base, status: 'not_due' };
+    }
+
+    // Claim the run first so overlapping invocations send it once
+    const next = { lastRunAt: now.toISOString() };
+    if (!await this.stateStore.compareAndSet(key, previous, next)) {
+      return { ...base, status: 'not_due' };
+    }
+
+    let result;
+    try {
+      result = await this.sendDigest(owner, { email, locale }, {
+        thresholds: subscription.thresholds,
+        suppressEmpty: subscription.suppressEmpty,
+        frequency,
+        now
+      });
+    } catch (error) {
+      // Release the claim so the next run retries
+      await this.stateStore.compareAndSet(key, { ...next, revision: (previous?.revision || 0) + 1 }, previous || {});
+      throw error;
+    }
+
+    return {
+      ...base,
+      status: result.sent ? 'sent' : 'empty',
+      total: result.digest.total,
+      messageId: result.messageId
+    };
+  }
+}
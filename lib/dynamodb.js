@@ -1,14 +1,202 @@
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
 import { 
   DynamoDBDocumentClient, 
-  PutCommand, 
   GetCommand, 
   UpdateCommand, 
-  DeleteCommand, 
   ScanCommand, 
-  QueryCommand 
+  QueryCommand,
+  TransactWriteCommand,
+  BatchWriteCommand
 } from '@aws-sdk/lib-dynamodb';
+import { resolveAccess, Actions } from './access.js';
+import { ConflictError, NotFoundError, ThrottledError, ValidationError, fromAwsError } from './errors.js';
+import { ComponentSchema } from './schema.js';
+import { createMovement, historyToMovements, movementKey, movementRangeCondition } from './ledger.js';
+import { DefaultForecastSettings, forecastStockout, suggestReorder, summarizeMovements, windowStart } from './analytics.js';
+import { NormalizedFields, normalizeComponentValues, parseValue, getValueQuantity } from './units.js';
 
+const SORT_KEYS = {
+  name: component => component.name,
+  quantity: component => component.quantity,
+  updatedAt: component => component.updatedAt,
+  value: component => component.normalized?.value
+};
+const SORTABLE_FIELDS = Object.keys(SORT_KEYS);
+
+// `value` lives in the nested `normalized` map, which cannot be an index
+// sort key, so it is always sorted in memory
+const INDEXABLE_SORT_FIELDS = ['name', 'quantity', 'updatedAt'];
+
+function checkSortIndexes(sortIndexes) {
+  const unsupported = Object.keys(sortIndexes).filter(field => !INDEXABLE_SORT_FIELDS.includes(field));
+  if (unsupported.length > 0) {
+    throw new ValidationError(
+      `sortIndexes cannot include "${unsupported[0]}". Use one of: ${INDEXABLE_SORT_FIELDS.join(', ')}`,
+      { code: 'INVALID_CONFIG' }
+    );
+  }
+  return sortIndexes;
+}
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) {
+    return {};
+  }
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ValidationError('Invalid pagination cursor');
+  }
+}
+
+function assertPositiveQuantity(quantity) {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new ValidationError('Invalid component: quantity must be a positive integer', {
+      details: { errors: [{ field: 'quantity', message: 'must be a positive integer' }] }
+    });
+  }
+}
+
+/**
+ * Condition matching a stored version (records before versioning have none)
+ */
+function versionCondition(version, values) {
+  if (!version) {
+    return 'attribute_not_exists(#version)';
+  }
+  values[':expectedVersion'] = version;
+  return '#version = :expectedVersion';
+}
+
+function versionConflict(componentId, current, expectedVersion) {
+  return new ConflictError(
+    `Component ${componentId} was changed by someone else (version ${current.version || 0}, expected ${expectedVersion})`,
+    { code: 'VERSION_CONFLICT', details: { current } }
+  );
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+// Plain-text attributes that parametric queries can match exactly.
+const TEXT_PARAMETERS = ['package'];
+const PARAMETER_OPERATORS = ['min', 'max', 'equals', 'within'];
+
+function parseParameterValue(name, raw, quantity, units) {
+  const parsed = parseValue(raw, quantity);
+  if (!parsed) {
+    throw new ValidationError(`Invalid value "${raw}" for parameter "${name}"`);
+  }
+  if (units && parsed.unit) {
+    units.add(parsed.unit);
+  }
+  return parsed.value;
+}
+
+/**
+ * Build a FilterExpression fragment for parametric constraints such as
+ * `{ value: { min: '10nF', max: '220nF' }, voltageRating: { min: 25 } }`
+ *
+ * Numeric parameters compare against the `normalized` map written by
+ * createComponent/updateComponent. `within` widens `equals` into a range,
+ * e.g. `{ equals: '4.7k', within: '5%' }`. When the `value` bounds carry a
+ * unit (given or implied by `componentType`), only components stored with
+ * that `valueUnit` match, so farads never match henries of the same
+ * magnitude.
+ */
+function buildParameterFilter(parameters, componentType) {
+  const clauses = [];
+  const names = {};
+  const values = {};
+
+  Object.entries(parameters).forEach(([name, constraint], index) => {
+    const isText = TEXT_PARAMETERS.includes(name);
+    if (!isText && !(name in NormalizedFields)) {
+      throw new ValidationError(`Unknown query parameter "${name}"`);
+    }
+
+    const condition = typeof constraint === 'object' && constraint !== null
+      ? constraint
+      : { equals: constraint };
+    const unknown = Object.keys(condition).filter(op => !PARAMETER_OPERATORS.includes(op));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown operator "${unknown[0]}" for parameter "${name}"`);
+    }
+
+    const nameRef = `#param${index}`;
+    const valueRef = `:param${index}`;
+    names[nameRef] = name;
+
+    if (isText) {
+      if (condition.equals === undefined || Object.keys(condition).length > 1) {
+        throw new ValidationError(`Parameter "${name}" only supports "equals"`);
+      }
+      clauses.push(`${nameRef} = ${valueRef}`);
+      values[valueRef] = condition.equals;
+      return;
+    }
+
+    names['#normalized'] = 'normalized';
+    const path = `#normalized.${nameRef}`;
+    const quantity = NormalizedFields[name] || getValueQuantity(componentType);
+    const units = name === 'value' ? new Set() : null;
+    let { min, max, equals } = condition;
+
+    if (condition.within !== undefined) {
+      if (equals === undefined) {
+        throw new ValidationError(`Parameter "${name}" needs "equals" to use "within"`);
+      }
+      const center = parseParameterValue(name, equals, quantity, units);
+      const percent = parseParameterValue(name, condition.within, 'tolerance');
+      const spread = Math.abs(center) * percent / 100;
+      min = center - spread;
+      max = center + spread;
+      equals = undefined;
+    }
+
+    if (equals !== undefined) {
+      clauses.push(`${path} = ${valueRef}eq`);
+      values[`${valueRef}eq`] = parseParameterValue(name, equals, quantity, units);
+    }
+    if (min !== undefined) {
+      clauses.push(`${path} >= ${valueRef}min`);
+      values[`${valueRef}min`] = parseParameterValue(name, min, quantity, units);
+    }
+    if (max !== undefined) {
+      clauses.push(`${path} <= ${valueRef}max`);
+      values[`${valueRef}max`] = parseParameterValue(name, max, quantity, units);
+    }
+
+    if (units?.size > 1) {
+      throw new ValidationError(`Parameter "${name}" mixes units: ${[...units].join(', ')}`);
+    }
+    if (units?.size === 1) {
+      names['#valueUnit'] = 'valueUnit';
+      clauses.push(`#normalized.#valueUnit = ${valueRef}unit`);
+      values[`${valueRef}unit`] = [...units][0];
+    }
+  });
+
+  return { clauses, names, values };
+}
+
+/**
+ * Component inventory stored in DynamoDB
+ *
+ * Every method takes an `owner` first: a user ID for that user's personal
+ * inventory, or an access context `{ userId, orgId, memberships }` from
+ * `CognitoAuth.getUserContext` for a shared organization inventory, where
+ * the user's role decides what they may do.
+ */
 export class ComponentDatabase {
   constructor(config = {}) {
     const client = new DynamoDBClient({ 
@@ -16,31 +204,69 @@ export class ComponentDatabase {
     });
     this.docClient = DynamoDBDocumentClient.from(client);
     this.tableName = config.tableName || process.env.COMPONENTS_TABLE || 'CircuitStreamComponents';
+    this.sortIndexes = checkSortIndexes(config.sortIndexes || {});
+    this.schema = config.schema || new ComponentSchema({ fields: config.customFields });
+    this.movementsTableName = config.movementsTableName || process.env.STOCK_MOVEMENTS_TABLE || 'CircuitStreamStockMovements';
+    this.movementsIndex = config.movementsIndex || 'InventoryMovementsIndex';
+    this.maxStockRetries = config.maxStockRetries ?? 3;
+  }
+
+  /**
+   * Send a command, translating SDK exceptions into typed errors
+   */
+  async send(command) {
+    try {
+      return await this.docClient.send(command);
+    } catch (error) {
+      throw fromAwsError(error, 'DynamoDB');
+    }
   }
 
   /**
    * Create a new component in inventory
+   *
+   * The record is checked against `schema` first; a ValidationError lists
+   * every failing field in `details.errors`. The opening quantity is
+   * recorded as an `initial` movement in the stock ledger.
    */
-  async createComponent(userId, component) {
+  async createComponent(owner, component) {
+    const access = resolveAccess(owner, Actions.CREATE);
+    this.schema.assertValid(component);
     const timestamp = new Date().toISOString();
     const componentId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     const item = {
-      componentId,
-      userId,
       ...component,
+      componentId,
+      userId: access.partitionKey,
       createdAt: timestamp,
+      createdBy: access.actorId,
       updatedAt: timestamp,
-      stockHistory: [{
-        date: timestamp,
-        quantity: component.quantity || 0,
-        action: 'initial'
-      }]
+      updatedBy: access.actorId,
+      version: 1
     };
 
-    await this.docClient.send(new PutCommand({
-      TableName: this.tableName,
-      Item: item
+    if (access.orgId) {
+      item.orgId = access.orgId;
+    }
+
+    const normalized = normalizeComponentValues(item);
+    if (normalized) {
+      item.normalized = normalized;
+    }
+
+    const movement = createMovement(access, componentId, {
+      timestamp,
+      delta: item.quantity || 0,
+      quantity: item.quantity || 0,
+      reason: 'initial'
+    });
+
+    await this.send(new TransactWriteCommand({
+      TransactItems: [
+        { Put: { TableName: this.tableName, Item: item } },
+        { Put: { TableName: this.movementsTableName, Item: movement } }
+      ]
     }));
 
     return item;
@@ -48,25 +274,135 @@ export class ComponentDatabase {
 
   /**
    * Get a specific component by ID
+   *
+   * Throws NotFoundError when the inventory has no such component.
    */
-  async getComponent(userId, componentId) {
-    const result = await this.docClient.send(new GetCommand({
+  async getComponent(owner, componentId) {
+    const { partitionKey } = resolveAccess(owner, Actions.READ);
+    const result = await this.send(new GetCommand({
       TableName: this.tableName,
-      Key: { userId, componentId }
+      Key: { userId: partitionKey, componentId }
     }));
 
+    if (!result.Item) {
+      throw new NotFoundError(`Component ${componentId} not found`);
+    }
     return result.Item;
   }
 
   /**
    * Get all components for a user
    */
-  async getUserComponents(userId, filters = {}) {
+  async getUserComponents(owner, filters = {}) {
+    const components = [];
+    for await (const component of this.iterateComponents(owner, filters)) {
+      components.push(component);
+    }
+    return components;
+  }
+
+  /**
+   * Get a single page of components for a user
+   *
+   * Returns `{ items, nextCursor }`. Pass `nextCursor` back as `cursor` to
+   * fetch the following page; it is `null` once the last page is reached.
+   * Sorting by a non-key attribute uses the matching index from
+   * `config.sortIndexes` when one is configured, and otherwise sorts the
+   * full result set in memory and pages through it by offset. `value` has
+   * no index and is always sorted in memory.
+   */
+  async queryComponents(owner, options = {}) {
+    const { limit, cursor, sortBy, sortOrder = 'asc' } = options;
+
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      throw new ValidationError('limit must be a positive integer');
+    }
+    if (sortBy && !SORTABLE_FIELDS.includes(sortBy)) {
+      throw new ValidationError(`Cannot sort by "${sortBy}". Use one of: ${SORTABLE_FIELDS.join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(sortOrder)) {
+      throw new ValidationError('sortOrder must be "asc" or "desc"');
+    }
+
+    const { partitionKey } = resolveAccess(owner, Actions.READ);
+    const position = decodeCursor(cursor);
+
+    if (sortBy && !this.sortIndexes[sortBy]) {
+      return this.queryComponentsSortedInMemory(owner, options, position.offset || 0);
+    }
+
+    const params = this.buildComponentQuery(partitionKey, options);
+    if (sortBy) {
+      params.IndexName = this.sortIndexes[sortBy];
+      params.ScanIndexForward = sortOrder === 'asc';
+    }
+
+    // DynamoDB applies Limit before FilterExpression, so keep reading until
+    // the page is full or the partition is exhausted.
+    const items = [];
+    let lastKey = position.key;
+    do {
+      if (lastKey) {
+        params.ExclusiveStartKey = lastKey;
+      }
+      if (limit) {
+        params.Limit = limit - items.length;
+      }
+
+      const result = await this.send(new QueryCommand(params));
+      items.push(...(result.Items || []));
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey && (!limit || items.length < limit));
+
+    return {
+      items,
+      nextCursor: lastKey ? encodeCursor({ key: lastKey }) : null
+    };
+  }
+
+  /**
+   * Iterate over every component for a user, fetching pages as needed
+   */
+  async *iterateComponents(owner, options = {}) {
+    let cursor = options.cursor;
+    do {
+      const page = await this.queryComponents(owner, { ...options, cursor });
+      yield* page.items;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  /**
+   * Sort a user's components in memory and return one page by offset
+   */
+  async queryComponentsSortedInMemory(owner, options, offset) {
+    const { cursor, limit, sortBy, sortOrder = 'asc', ...filters } = options;
+
+    const all = [];
+    for await (const component of this.iterateComponents(owner, filters)) {
+      all.push(component);
+    }
+
+    const direction = sortOrder === 'desc' ? -1 : 1;
+    const sortKey = SORT_KEYS[sortBy];
+    all.sort((a, b) => direction * compareValues(sortKey(a), sortKey(b)));
+
+    const end = limit ? offset + limit : all.length;
+    return {
+      items: all.slice(offset, end),
+      nextCursor: end < all.length ? encodeCursor({ offset: end }) : null
+    };
+  }
+
+  /**
+   * Build the base QueryCommand input for one inventory partition
+   */
+  buildComponentQuery(partitionKey, filters = {}) {
     const params = {
       TableName: this.tableName,
       KeyConditionExpression: 'userId = :userId',
       ExpressionAttributeValues: {
-        ':userId': userId
+        ':userId': partitionKey
       }
     };
 
@@ -77,28 +413,66 @@ export class ComponentDatabase {
     }
 
     if (filters.lowStock !== undefined && filters.threshold) {
-      const filterExpr = params.FilterExpression ? 
-        `${params.FilterExpression} AND quantity <= :threshold` : 
+      // Components can also be low against their own minimum or alert threshold
+      const lowExpr = filters.ownThresholds ?
+        '(quantity <= :threshold OR quantity <= minStockLevel OR quantity <= alertThresholds.low)' :
         'quantity <= :threshold';
+      const filterExpr = params.FilterExpression ? 
+        `${params.FilterExpression} AND ${lowExpr}` : 
+        lowExpr;
       params.FilterExpression = filterExpr;
       params.ExpressionAttributeValues[':threshold'] = filters.threshold;
     }
 
-    const result = await this.docClient.send(new QueryCommand(params));
-    return result.Items || [];
+    if (filters.parameters && Object.keys(filters.parameters).length > 0) {
+      const { clauses, names, values } = buildParameterFilter(filters.parameters, filters.type);
+      const parameterExpr = clauses.join(' AND ');
+      params.FilterExpression = params.FilterExpression ?
+        `${params.FilterExpression} AND ${parameterExpr}` :
+        parameterExpr;
+      params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...names };
+      Object.assign(params.ExpressionAttributeValues, values);
+    }
+
+    return params;
   }
 
   /**
    * Update component details
+   *
+   * Updates are validated against `schema` (required fields may be left
+   * out but not cleared, and protected fields cannot be set). `quantity`
+   * is rejected: stock changes go through `updateStock`, `consumeStock` or
+   * `receiveStock` so they are checked and recorded in the ledger. Throws
+   * NotFoundError rather than creating a component that does not exist.
+   * Pass `options.expectedVersion` to apply the update only if nobody has
+   * changed the record since it was read (see `updateExisting`).
    */
-  async updateComponent(userId, componentId, updates) {
+  async updateComponent(owner, componentId, updates, options = {}) {
+    const access = resolveAccess(owner, Actions.UPDATE);
+    if (updates && 'quantity' in updates) {
+      throw new ValidationError('quantity cannot be changed with updateComponent; use updateStock, consumeStock or receiveStock', {
+        details: { errors: [{ field: 'quantity', message: 'is changed through the stock methods' }] }
+      });
+    }
+    this.schema.assertValid(updates, { partial: true });
     const timestamp = new Date().toISOString();
+
+    // Keep the normalized numeric values in step with the display strings
+    const touchesValues = ['componentType', ...Object.keys(NormalizedFields)]
+      .some(field => field in updates);
+    if (touchesValues) {
+      const existing = await this.getComponent(owner, componentId);
+      const normalized = normalizeComponentValues({ ...existing, ...updates });
+      updates = { ...updates, normalized: normalized || {} };
+    }
     
     // Build update expression dynamically
     const updateExpressions = [];
     const expressionAttributeNames = {};
     const expressionAttributeValues = {
-      ':updatedAt': timestamp
+      ':updatedAt': timestamp,
+      ':updatedBy': access.actorId
     };
 
     Object.keys(updates).forEach((key, index) => {
@@ -109,78 +483,775 @@ export class ComponentDatabase {
       expressionAttributeValues[attrValue] = updates[key];
     });
 
-    updateExpressions.push('#updatedAt = :updatedAt');
+    updateExpressions.push('#updatedAt = :updatedAt', '#updatedBy = :updatedBy');
     expressionAttributeNames['#updatedAt'] = 'updatedAt';
+    expressionAttributeNames['#updatedBy'] = 'updatedBy';
+
+    return this.updateExisting(access, componentId, {
+      set: updateExpressions,
+      names: expressionAttributeNames,
+      values: expressionAttributeValues
+    }, options);
+  }
+
+  /**
+   * Record a file stored for a component
+   *
+   * Appends `attachment` (`{ kind, key, contentType, size }`, e.g. from
+   * `ComponentStorage.verifyUpload`) to the component's `attachments`,
+   * stamped with `uploadedBy` and `uploadedAt`. The first image becomes the
+   * primary image unless `attachment.primary` says otherwise; passing
+   * `primary: true` moves the flag to this one. Recording a key that is
+   * already attached returns the component unchanged, so a completion step
+   * can be retried. Returns the updated component.
+   */
+  async addAttachment(owner, componentId, attachment) {
+    const access = resolveAccess(owner, Actions.UPDATE);
+    if (!attachment?.key || !attachment.kind) {
+      throw new ValidationError('attachment kind and key are required');
+    }
+
+    return this.rewriteAttachments(access, componentId, attachments => {
+      if (attachments.some(existing => existing.key === attachment.key)) {
+        return null;
+      }
+
+      const isImage = attachment.kind === 'image';
+      const primary = isImage && (attachment.primary ?? !attachments.some(existing => existing.primary));
+      const entry = {
+        ...attachment,
+        primary,
+        uploadedBy: attachment.uploadedBy || access.actorId,
+        uploadedAt: attachment.uploadedAt || new Date().toISOString()
+      };
+      const others = primary
+        ? attachments.map(existing => (existing.primary ? { ...existing, primary: false } : existing))
+        : attachments;
+      return [...others, entry];
+    });
+  }
+
+  /**
+   * Remove a file from a component's `attachments`
+   *
+   * Only the record is removed; delete the object with ComponentStorage
+   * (or use `ComponentCatalog.removeAttachment`, which does both). If it
+   * was the primary image, the next image becomes primary. Throws
+   * NotFoundError when the key is not attached. Returns `{ component,
+   * attachment }`.
+   */
+  async removeAttachment(owner, componentId, key) {
+    const access = resolveAccess(owner, Actions.UPDATE);
+    let removed;
+
+    const component = await this.rewriteAttachments(access, componentId, attachments => {
+      removed = attachments.find(existing => existing.key === key);
+      if (!removed) {
+        throw new NotFoundError(`Attachment ${key} not found on component ${componentId}`);
+      }
+      const remaining = attachments.filter(existing => existing.key !== key);
+      if (removed.primary) {
+        const next = remaining.findIndex(existing => existing.kind === 'image');
+        if (next >= 0) {
+          remaining[next] = { ...remaining[next], primary: true };
+        }
+      }
+      return remaining;
+    });
+
+    return { component, attachment: removed };
+  }
+
+  /**
+   * Make an attached image the component's primary image
+   */
+  async setPrimaryImage(owner, componentId, key) {
+    const access = resolveAccess(owner, Actions.UPDATE);
+
+    return this.rewriteAttachments(access, componentId, attachments => {
+      const target = attachments.find(existing => existing.key === key);
+      if (!target || target.kind !== 'image') {
+        throw new NotFoundError(`Image ${key} not found on component ${componentId}`);
+      }
+      if (target.primary) {
+        return null;
+      }
+      return attachments.map(existing => ({ ...existing, primary: existing.key === key }));
+    });
+  }
 
-    const result = await this.docClient.send(new UpdateCommand({
+  /**
+   * Replace a component's `attachments` with `change(current)`
+   *
+   * `change` returns the new list, or null to leave the component as it
+   * is. The write is conditioned on the version read and recomputed on
+   * fresh data if another write got there first, up to `maxStockRetries`
+   * times.
+   */
+  async rewriteAttachments(access, componentId, change) {
+    for (let attempt = 1; ; attempt++) {
+      const current = await this.readCurrent(access, componentId);
+      const attachments = change(current.attachments || []);
+      if (!attachments) {
+        return current;
+      }
+
+      const timestamp = new Date().toISOString();
+      try {
+        return await this.updateExisting(access, componentId, {
+          set: ['#attachments = :attachments', '#updatedAt = :updatedAt', '#updatedBy = :updatedBy'],
+          names: { '#attachments': 'attachments', '#updatedAt': 'updatedAt', '#updatedBy': 'updatedBy' },
+          values: {
+            ':attachments': attachments,
+            ':updatedAt': timestamp,
+            ':updatedBy': access.actorId
+          }
+        }, { expectedVersion: current.version || 0 });
+      } catch (error) {
+        if (error.code !== 'VERSION_CONFLICT' || attempt >= this.maxStockRetries) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Update component stock quantity
+   *
+   * Sets an absolute quantity, e.g. after a stock count, and records the
+   * difference in the stock movement ledger. Use `consumeStock` and
+   * `receiveStock` for relative changes. Options: `expectedVersion` (as for
+   * `updateComponent`), `projectRef` and `note`.
+   */
+  async updateStock(owner, componentId, quantity, reason = 'manual', options = {}) {
+    const access = resolveAccess(owner, Actions.UPDATE);
+    this.schema.assertValid({ quantity }, { partial: true });
+    return this.writeStockChange(access, componentId, () => quantity, { ...options, reason });
+  }
+
+  /**
+   * Take parts out of stock
+   *
+   * Never takes quantity below zero: throws ConflictError with code
+   * INSUFFICIENT_STOCK (and the current record in `details.current`)
+   * instead. Options as for `adjustStock`.
+   */
+  async consumeStock(owner, componentId, quantity, options = {}) {
+    assertPositiveQuantity(quantity);
+    return this.adjustStock(owner, componentId, -quantity, { reason: 'consume', ...options });
+  }
+
+  /**
+   * Put parts into stock
+   */
+  async receiveStock(owner, componentId, quantity, options = {}) {
+    assertPositiveQuantity(quantity);
+    return this.adjustStock(owner, componentId, quantity, { reason: 'receive', ...options });
+  }
+
+  /**
+   * Add `change` (positive or negative) to a component's quantity
+   *
+   * Options: `reason`, `projectRef` (e.g. the build or work order the parts
+   * went to), `note` and `expectedVersion`.
+   */
+  async adjustStock(owner, componentId, change, options = {}) {
+    const access = resolveAccess(owner, Actions.UPDATE);
+    if (!Number.isInteger(change) || change === 0) {
+      throw new ValidationError('Stock change must be a non-zero integer');
+    }
+
+    return this.writeStockChange(access, componentId, current => {
+      const available = current.quantity || 0;
+      if (available + change < 0) {
+        throw new ConflictError(
+          `Cannot take ${-change} of component ${componentId}: only ${available} in stock`,
+          { code: 'INSUFFICIENT_STOCK', details: { current } }
+        );
+      }
+      return available + change;
+    }, { reason: change < 0 ? 'consume' : 'receive', ...options });
+  }
+
+  /**
+   * Change a component's quantity and append the movement to the ledger
+   *
+   * Reads the component, computes the new quantity with
+   * `nextQuantity(current)`, then writes the component and its ledger item
+   * in one transaction conditioned on the version read. If another write
+   * got there first the change is recomputed on fresh data, up to
+   * `maxStockRetries` times; with `options.expectedVersion` it is not
+   * retried but fails with VERSION_CONFLICT.
+   */
+  async writeStockChange(access, componentId, nextQuantity, options = {}) {
+    const { expectedVersion, reason = 'manual', projectRef, note } = options;
+    const attempts = expectedVersion === undefined ? this.maxStockRetries : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      const current = await this.readCurrent(access, componentId);
+      if (expectedVersion !== undefined && (current.version || 0) !== expectedVersion) {
+        throw versionConflict(componentId, current, expectedVersion);
+      }
+
+      const quantity = nextQuantity(current);
+      const timestamp = new Date().toISOString();
+      const version = (current.version || 0) + 1;
+      const movement = createMovement(access, componentId, {
+        timestamp,
+        delta: quantity - (current.quantity || 0),
+        quantity,
+        reason,
+        projectRef,
+        note
+      });
+
+      const values = {
+        ':quantity': quantity,
+        ':updatedAt': timestamp,
+        ':updatedBy': access.actorId,
+        ':version': version
+      };
+      const condition = versionCondition(current.version, values);
+
+      try {
+        await this.send(new TransactWriteCommand({
+          TransactItems: [
+            {
+              Update: {
+                TableName: this.tableName,
+                Key: { userId: access.partitionKey, componentId },
+                UpdateExpression: 'SET quantity = :quantity, updatedAt = :updatedAt, updatedBy = :updatedBy, #version = :version',
+                ConditionExpression: `attribute_exists(componentId) AND ${condition}`,
+                ExpressionAttributeNames: { '#version': 'version' },
+                ExpressionAttributeValues: values
+              }
+            },
+            {
+              Put: {
+                TableName: this.movementsTableName,
+                Item: movement
+              }
+            }
+          ]
+        }));
+        return { ...current, quantity, updatedAt: timestamp, updatedBy: access.actorId, version };
+      } catch (error) {
+        if (error.cause?.name !== 'TransactionCanceledException') {
+          throw error;
+        }
+        if (attempt >= attempts) {
+          throw await this.conflictError(access, componentId, expectedVersion);
+        }
+      }
+    }
+  }
+
+  /**
+   * Strongly consistent read of a component, or NotFoundError
+   */
+  async readCurrent(access, componentId) {
+    const { Item } = await this.send(new GetCommand({
       TableName: this.tableName,
-      Key: { userId, componentId },
-      UpdateExpression: `SET ${updateExpressions.join(', ')}`,
-      ExpressionAttributeNames: expressionAttributeNames,
-      ExpressionAttributeValues: expressionAttributeValues,
-      ReturnValues: 'ALL_NEW'
+      Key: { userId: access.partitionKey, componentId },
+      ConsistentRead: true
     }));
+    if (!Item) {
+      throw new NotFoundError(`Component ${componentId} not found`);
+    }
+    return Item;
+  }
 
-    return result.Attributes;
+  /**
+   * Explain a failed conditional write by reading the component back
+   *
+   * Returns a NotFoundError if it is gone, otherwise a ConflictError with
+   * the current record in `details.current` so the caller can retry.
+   */
+  async conflictError(access, componentId, expectedVersion) {
+    let current;
+    try {
+      current = await this.readCurrent(access, componentId);
+    } catch (error) {
+      return error;
+    }
+
+    if (expectedVersion !== undefined && (current.version || 0) !== expectedVersion) {
+      return versionConflict(componentId, current, expectedVersion);
+    }
+    return new ConflictError(`Component ${componentId} changed while it was being updated`, {
+      details: { current }
+    });
   }
 
   /**
-   * Update component stock quantity
+   * Run a conditional update against an existing component
+   *
+   * `update` holds the `set` clauses and attribute `names` and `values`.
+   * Every update bumps the record's `version`; with
+   * `options.expectedVersion` it is applied only if the stored version still
+   * matches (records written before versioning count as version 0).
+   * Missing components raise NotFoundError and version mismatches a
+   * ConflictError with code VERSION_CONFLICT carrying the current record.
    */
-  async updateStock(userId, componentId, quantity, action = 'manual') {
-    const timestamp = new Date().toISOString();
-    const historyEntry = {
-      date: timestamp,
+  async updateExisting(access, componentId, update, options = {}) {
+    const { expectedVersion } = options;
+    const names = { ...update.names, '#version': 'version' };
+    const values = { ...update.values, ':versionZero': 0, ':versionStep': 1 };
+    let condition = 'attribute_exists(componentId)';
+
+    if (expectedVersion !== undefined) {
+      if (!Number.isInteger(expectedVersion) || expectedVersion < 0) {
+        throw new ValidationError('expectedVersion must be a non-negative integer');
+      }
+      condition += ` AND ${versionCondition(expectedVersion, values)}`;
+    }
+
+    try {
+      const result = await this.send(new UpdateCommand({
+        TableName: this.tableName,
+        Key: { userId: access.partitionKey, componentId },
+        UpdateExpression: `SET ${[...update.set, '#version = if_not_exists(#version, :versionZero) + :versionStep'].join(', ')}`,
+        ConditionExpression: condition,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW'
+      }));
+      return result.Attributes;
+    } catch (error) {
+      if (error.cause?.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+      throw await this.conflictError(access, componentId, expectedVersion);
+    }
+  }
+
+  /**
+   * Get a component's stock movements from the ledger
+   *
+   * Options: `from` and `to` (dates, inclusive), `order` ('asc' or 'desc',
+   * default 'desc' for newest first), `limit` and `cursor`. Returns
+   * `{ items, nextCursor }` like `queryComponents`.
+   */
+  async getStockMovements(owner, componentId, options = {}) {
+    const { partitionKey } = resolveAccess(owner, Actions.READ);
+    return this.queryMovements({
+      KeyConditionExpression: 'componentKey = :componentKey',
+      ExpressionAttributeValues: { ':componentKey': movementKey(partitionKey, componentId) }
+    }, options);
+  }
+
+  /**
+   * Get stock movements across a whole inventory
+   *
+   * Same options as `getStockMovements`. Reads the `movementsIndex` global
+   * secondary index (partition key `userId`, sort key `movementId`).
+   */
+  async getInventoryMovements(owner, options = {}) {
+    const { partitionKey } = resolveAccess(owner, Actions.READ);
+    return this.queryMovements({
+      IndexName: this.movementsIndex,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': partitionKey }
+    }, options);
+  }
+
+  /**
+   * Iterate over every movement matching `getInventoryMovements` options
+   */
+  async *iterateInventoryMovements(owner, options = {}) {
+    let cursor = options.cursor;
+    do {
+      const page = await this.getInventoryMovements(owner, { ...options, cursor });
+      yield* page.items;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  /**
+   * Run one page of a ledger query with date range and paging options
+   */
+  async queryMovements(params, options) {
+    const { from, to, order = 'desc', limit, cursor } = options;
+
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      throw new ValidationError('limit must be a positive integer');
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      throw new ValidationError('order must be "asc" or "desc"');
+    }
+
+    const range = movementRangeCondition(from, to);
+    if (range) {
+      params.KeyConditionExpression += ` AND ${range.expression}`;
+      Object.assign(params.ExpressionAttributeValues, range.values);
+    }
+
+    const position = decodeCursor(cursor);
+    const result = await this.send(new QueryCommand({
+      ...params,
+      TableName: this.movementsTableName,
+      ScanIndexForward: order === 'asc',
+      ...(limit && { Limit: limit }),
+      ...(position.key && { ExclusiveStartKey: position.key })
+    }));
+
+    return {
+      items: result.Items || [],
+      nextCursor: result.LastEvaluatedKey ? encodeCursor({ key: result.LastEvaluatedKey }) : null
+    };
+  }
+
+  /**
+   * Iterate over every movement matching `getStockMovements` options
+   */
+  async *iterateStockMovements(owner, componentId, options = {}) {
+    let cursor = options.cursor;
+    do {
+      const page = await this.getStockMovements(owner, componentId, { ...options, cursor });
+      yield* page.items;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  /**
+   * Consumption and receipts for a component over trailing windows
+   *
+   * `windows` lists window lengths in days (default 7, 30 and 90); pass
+   * `reasons` to count only some kinds of withdrawal as consumption.
+   * Returns `{ componentId, quantity, windows: [{ days, consumed, received,
+   * movements, dailyRate }] }`.
+   */
+  async getConsumptionStats(owner, componentId, options = {}) {
+    const { windows = [7, 30, 90], reasons, now = new Date() } = options;
+    if (!windows.length || !windows.every(days => typeof days === 'number' && days > 0)) {
+      throw new ValidationError('windows must be a list of positive day counts');
+    }
+
+    const component = await this.getComponent(owner, componentId);
+    const movements = await this.collectStockMovements(owner, componentId, Math.max(...windows), now);
+
+    return {
+      componentId,
+      quantity: component.quantity || 0,
+      windows: windows.map(days => {
+        const since = windowStart(days, now);
+        return summarizeMovements(movements.filter(m => m.timestamp >= since), days, { reasons });
+      })
+    };
+  }
+
+  /**
+   * Forecast a component's stockout and suggest a reorder
+   *
+   * Uses the consumption rate over `windowDays` (default 30). Lead time and
+   * safety stock come from the options, then the component's own
+   * `leadTimeDays` and `safetyStock`, then `DefaultForecastSettings`.
+   * Returns `{ componentId, name, quantity, dailyRate, daysUntilStockout,
+   * stockoutDate, reorderPoint, reorderQuantity, needsReorder, ... }`.
+   */
+  async getStockForecast(owner, componentId, options = {}) {
+    const { windowDays = DefaultForecastSettings.windowDays, reasons, now = new Date() } = options;
+    const component = await this.getComponent(owner, componentId);
+    const movements = await this.collectStockMovements(owner, componentId, windowDays, now);
+    return this.buildForecast(component, summarizeMovements(movements, windowDays, { reasons }), options, now);
+  }
+
+  /**
+   * A component's movements over a trailing window
+   */
+  async collectStockMovements(owner, componentId, windowDays, now) {
+    const movements = [];
+    for await (const movement of this.iterateStockMovements(owner, componentId, {
+      from: windowStart(windowDays, now),
+      to: now
+    })) {
+      movements.push(movement);
+    }
+    return movements;
+  }
+
+  /**
+   * Combine a component and its consumption summary into a forecast
+   */
+  buildForecast(component, summary, options = {}, now = new Date()) {
+    const quantity = component.quantity || 0;
+    return {
+      componentId: component.componentId,
+      name: component.name,
+      partNumber: component.partNumber,
       quantity,
-      action
+      windowDays: summary.days,
+      consumed: summary.consumed,
+      dailyRate: summary.dailyRate,
+      ...forecastStockout(quantity, summary.dailyRate, now),
+      ...suggestReorder({
+        quantity,
+        dailyRate: summary.dailyRate,
+        leadTimeDays: options.leadTimeDays ?? component.leadTimeDays,
+        safetyStock: options.safetyStock ?? component.safetyStock,
+        safetyDays: options.safetyDays,
+        coverDays: options.coverDays,
+        minStockLevel: component.minStockLevel
+      })
     };
+  }
 
-    const result = await this.docClient.send(new UpdateCommand({
-      TableName: this.tableName,
-      Key: { userId, componentId },
-      UpdateExpression: 'SET quantity = :quantity, updatedAt = :updatedAt, stockHistory = list_append(if_not_exists(stockHistory, :emptyList), :history)',
-      ExpressionAttributeValues: {
-        ':quantity': quantity,
-        ':updatedAt': timestamp,
-        ':history': [historyEntry],
-        ':emptyList': []
-      },
-      ReturnValues: 'ALL_NEW'
+  /**
+   * Forecast every component in an inventory
+   *
+   * Reads the inventory-wide ledger once for the window. With
+   * `horizonDays`, only components projected to run out within that many
+   * days are returned. Sorted soonest stockout first.
+   */
+  async getStockoutForecasts(owner, options = {}) {
+    const { windowDays = DefaultForecastSettings.windowDays, horizonDays, reasons, now = new Date() } = options;
+    const byComponent = await this.groupInventoryMovements(owner, windowDays, now);
+
+    const forecasts = [];
+    for await (const component of this.iterateComponents(owner, { type: options.type })) {
+      const summary = summarizeMovements(byComponent.get(component.componentId) || [], windowDays, { reasons });
+      const forecast = this.buildForecast(component, summary, options, now);
+      if (horizonDays === undefined
+        || (forecast.daysUntilStockout !== null && forecast.daysUntilStockout <= horizonDays)) {
+        forecasts.push(forecast);
+      }
+    }
+
+    return forecasts.sort((a, b) => compareValues(a.daysUntilStockout, b.daysUntilStockout));
+  }
+
+  /**
+   * Components with the most stock movement over a trailing window
+   *
+   * `by` is 'consumed' (default), 'received' or 'movements'. Returns up to
+   * `limit` (default 10) summaries with the component's name and part
+   * number; components deleted since have `component: null`.
+   */
+  async getTopMovers(owner, options = {}) {
+    const { windowDays = DefaultForecastSettings.windowDays, limit = 10, by = 'consumed', reasons, now = new Date() } = options;
+    if (!['consumed', 'received', 'movements'].includes(by)) {
+      throw new ValidationError('by must be "consumed", "received" or "movements"');
+    }
+
+    const byComponent = await this.groupInventoryMovements(owner, windowDays, now);
+    const ranked = [...byComponent]
+      .map(([componentId, movements]) => ({
+        componentId,
+        ...summarizeMovements(movements, windowDays, { reasons })
+      }))
+      .filter(summary => summary[by] > 0)
+      .sort((a, b) => b[by] - a[by])
+      .slice(0, limit);
+
+    return Promise.all(ranked.map(async summary => {
+      let component = null;
+      try {
+        component = await this.getComponent(owner, summary.componentId);
+      } catch (error) {
+        if (!(error instanceof NotFoundError)) {
+          throw error;
+        }
+      }
+      return {
+        ...summary,
+        component: component && {
+          name: component.name,
+          partNumber: component.partNumber,
+          componentType: component.componentType,
+          quantity: component.quantity
+        }
+      };
     }));
+  }
+
+  /**
+   * Inventory-wide movements over a trailing window, grouped by component
+   */
+  async groupInventoryMovements(owner, windowDays, now) {
+    const byComponent = new Map();
+    for await (const movement of this.iterateInventoryMovements(owner, { from: windowStart(windowDays, now), to: now })) {
+      if (!byComponent.has(movement.componentId)) {
+        byComponent.set(movement.componentId, []);
+      }
+      byComponent.get(movement.componentId).push(movement);
+    }
+    return byComponent;
+  }
 
-    return result.Attributes;
+  /**
+   * Move embedded `stockHistory` lists into the stock movement ledger
+   *
+   * For each component in the inventory (or just `options.componentIds`)
+   * the history is converted to ledger items and, unless `keepHistory` is
+   * set, removed from the component. Movement IDs are derived from each
+   * entry's date (or the component's `createdAt` when it has none) and
+   * position, so re-running after a partial failure does not duplicate
+   * movements. An entry with an invalid date stops the migration with a
+   * ValidationError before that component is written. With `dryRun`
+   * nothing is written. Returns `{ components, movements }` counts.
+   */
+  async migrateStockHistory(owner, options = {}) {
+    const { componentIds, keepHistory = false, dryRun = false } = options;
+    const access = resolveAccess(owner, Actions.UPDATE);
+    const stats = { components: 0, movements: 0 };
+
+    const components = componentIds
+      ? this.readComponents(access, componentIds)
+      : this.iterateComponents(owner);
+
+    for await (const component of components) {
+      if (!component.stockHistory?.length) {
+        continue;
+      }
+
+      const movements = historyToMovements(component.stockHistory, component.createdAt)
+        .map(movement => createMovement(access, component.componentId, movement));
+      stats.components++;
+      stats.movements += movements.length;
+      if (dryRun) {
+        continue;
+      }
+
+      await this.batchPutMovements(movements);
+      if (!keepHistory) {
+        await this.send(new UpdateCommand({
+          TableName: this.tableName,
+          Key: { userId: access.partitionKey, componentId: component.componentId },
+          UpdateExpression: 'REMOVE stockHistory',
+          ConditionExpression: 'attribute_exists(componentId)'
+        }));
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Read components one at a time, in order
+   */
+  async *readComponents(access, componentIds) {
+    for (const componentId of componentIds) {
+      yield await this.readCurrent(access, componentId);
+    }
+  }
+
+  /**
+   * Write ledger items in batches of 25, retrying unprocessed items
+   */
+  async batchPutMovements(movements) {
+    for (let i = 0; i < movements.length; i += 25) {
+      let requests = movements.slice(i, i + 25).map(Item => ({ PutRequest: { Item } }));
+
+      for (let attempt = 0; requests.length > 0; attempt++) {
+        if (attempt > 0) {
+          await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+        }
+        if (attempt >= 5) {
+          throw new ThrottledError(`Could not write ${requests.length} stock movements to the ledger`);
+        }
+        const result = await this.send(new BatchWriteCommand({
+          RequestItems: { [this.movementsTableName]: requests }
+        }));
+        requests = result.UnprocessedItems?.[this.movementsTableName] || [];
+      }
+    }
   }
 
   /**
    * Delete a component
+   *
+   * The record is deleted together with a `deleted` movement in the stock
+   * ledger (a zero `delta` at the last quantity, with the acting user as
+   * `actor`), so the ledger keeps who deleted it and when. Returns
+   * `{ success, deletedBy, deletedAt, component }` with the deleted record.
+   * Throws NotFoundError when there was nothing to delete.
    */
-  async deleteComponent(userId, componentId) {
-    await this.docClient.send(new DeleteCommand({
-      TableName: this.tableName,
-      Key: { userId, componentId }
-    }));
+  async deleteComponent(owner, componentId) {
+    const access = resolveAccess(owner, Actions.DELETE);
 
-    return { success: true };
+    for (let attempt = 1; ; attempt++) {
+      const current = await this.readCurrent(access, componentId);
+      const timestamp = new Date().toISOString();
+      const movement = createMovement(access, componentId, {
+        timestamp,
+        delta: 0,
+        quantity: current.quantity || 0,
+        reason: 'deleted'
+      });
+
+      const values = {};
+      const condition = versionCondition(current.version, values);
+
+      try {
+        await this.send(new TransactWriteCommand({
+          TransactItems: [
+            {
+              Delete: {
+                TableName: this.tableName,
+                Key: { userId: access.partitionKey, componentId },
+                ConditionExpression: `attribute_exists(componentId) AND ${condition}`,
+                ExpressionAttributeNames: { '#version': 'version' },
+                ...(current.version && { ExpressionAttributeValues: values })
+              }
+            },
+            {
+              Put: {
+                TableName: this.movementsTableName,
+                Item: movement
+              }
+            }
+          ]
+        }));
+        return { success: true, deletedBy: access.actorId, deletedAt: timestamp, component: current };
+      } catch (error) {
+        if (error.cause?.name !== 'TransactionCanceledException') {
+          throw error;
+        }
+        if (attempt >= this.maxStockRetries) {
+          throw await this.conflictError(access, componentId);
+        }
+      }
+    }
   }
 
   /**
    * Get components with low stock
+   *
+   * With `options.ownThresholds`, also returns components at or below their
+   * own `minStockLevel` or `alertThresholds.low`, even when that is above
+   * `threshold`.
    */
-  async getLowStockComponents(userId, threshold = 10) {
-    return this.getUserComponents(userId, { lowStock: true, threshold });
+  async getLowStockComponents(owner, threshold = 10, options = {}) {
+    return this.getUserComponents(owner, { ...options, lowStock: true, threshold });
+  }
+
+  /**
+   * Find components by normalized value, ratings or package
+   *
+   * Combines with the usual list filters, e.g.
+   * `findComponentsByParameters(owner, { value: { min: '10nF', max: '220nF' }, voltageRating: { min: '25V' } }, { type: 'capacitor' })`
+   */
+  async findComponentsByParameters(owner, parameters, filters = {}) {
+    return this.getUserComponents(owner, { ...filters, parameters });
   }
 
   /**
    * Search components by part number or name
    */
-  async searchComponents(userId, searchTerm) {
-    const allComponents = await this.getUserComponents(userId);
-    
+  async searchComponents(owner, searchTerm, options = {}) {
     const lowerSearch = searchTerm.toLowerCase();
-    return allComponents.filter(component => 
-      (component.name && component.name.toLowerCase().includes(lowerSearch)) ||
-      (component.partNumber && component.partNumber.toLowerCase().includes(lowerSearch)) ||
-      (component.description && component.description.toLowerCase().includes(lowerSearch))
-    );
+    const matches = [];
+
+    for await (const component of this.iterateComponents(owner, options)) {
+      if (
+        (component.name && component.name.toLowerCase().includes(lowerSearch)) ||
+        (component.partNumber && component.partNumber.toLowerCase().includes(lowerSearch)) ||
+        (component.description && component.description.toLowerCase().includes(lowerSearch))
+      ) {
+        matches.push(component);
+      }
+    }
+
+    return matches;
   }
 }
@@ -0,0 +1,146 @@
+/**
+ * Base class for errors raised by this library
+ *
+ * Every error carries an HTTP `statusCode` and a stable `code` that API
+ * clients can branch on, plus optional `details` (for example field-level
+ * validation messages) and the underlying `cause`.
+ */
+export class InventoryError extends Error {
+  static statusCode = 500;
+  static code = 'INTERNAL_ERROR';
+
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.statusCode = options.statusCode || this.constructor.statusCode;
+    this.code = options.code || this.constructor.code;
+    if (options.details !== undefined) {
+      this.details = options.details;
+    }
+  }
+}
+
+export class ValidationError extends InventoryError {
+  static statusCode = 400;
+  static code = 'VALIDATION_ERROR';
+}
+
+export class UnauthorizedError extends InventoryError {
+  static statusCode = 401;
+  static code = 'UNAUTHORIZED';
+}
+
+export class ForbiddenError extends InventoryError {
+  static statusCode = 403;
+  static code = 'FORBIDDEN';
+}
+
+export class NotFoundError extends InventoryError {
+  static statusCode = 404;
+  static code = 'NOT_FOUND';
+}
+
+export class ConflictError extends InventoryError {
+  static statusCode = 409;
+  static code = 'CONFLICT';
+}
+
+export class ThrottledError extends InventoryError {
+  static statusCode = 429;
+  static code = 'THROTTLED';
+}
+
+export class UpstreamError extends InventoryError {
+  static statusCode = 502;
+  static code = 'UPSTREAM_ERROR';
+}
+
+const ERROR_CLASSES = [
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ThrottledError,
+  UpstreamError
+];
+
+/**
+ * Error code for a bare HTTP status, matching the typed errors
+ */
+export function errorCodeForStatus(statusCode) {
+  const match = ERROR_CLASSES.find(ErrorClass => ErrorClass.statusCode === statusCode);
+  if (match) {
+    return match.code;
+  }
+  return statusCode >= 500 ? InventoryError.code : 'REQUEST_ERROR';
+}
+
+const THROTTLING_ERRORS = new Set([
+  'ThrottlingException',
+  'Throttling',
+  'ThrottledException',
+  'TooManyRequestsException',
+  'ProvisionedThroughputExceededException',
+  'RequestLimitExceeded',
+  'LimitExceededException',
+  'SlowDown'
+]);
+
+const NOT_FOUND_ERRORS = new Set([
+  'NoSuchKey',
+  'NoSuchUpload',
+  'NotFound',
+  'ResourceNotFoundException'
+]);
+
+const CONFLICT_ERRORS = new Set([
+  'ConditionalCheckFailedException',
+  'TransactionConflictException',
+  'TransactionCanceledException'
+]);
+
+const VALIDATION_ERRORS = new Set([
+  'ValidationException',
+  'InvalidParameterException',
+  'InvalidParameterValueException',
+  'InvalidImageFormatException',
+  'ImageTooLargeException',
+  'InvalidS3ObjectException',
+  'InvalidPart',
+  'InvalidPartOrder',
+  'EntityTooSmall'
+]);
+
+/**
+ * Translate an AWS SDK exception into an InventoryError
+ *
+ * Throttling becomes ThrottledError, missing objects NotFoundError, failed
+ * conditions ConflictError and rejected input ValidationError; anything
+ * else is an UpstreamError. The
+ * SDK exception is kept as `cause`. Errors that are already typed pass
+ * through unchanged.
+ */
+export function fromAwsError(error, service) {
+  if (error instanceof InventoryError) {
+    return error;
+  }
+
+  const name = error?.name || error?.Code;
+  const message = `${service}: ${error?.message || name || 'request failed'}`;
+  const options = { cause: error };
+
+  if (THROTTLING_ERRORS.has(name) || error?.$metadata?.httpStatusCode === 429) {
+    return new ThrottledError(message, options);
+  }
+  if (NOT_FOUND_ERRORS.has(name)) {
+    return new NotFoundError(message, options);
+  }
+  if (CONFLICT_ERRORS.has(name)) {
+    return new ConflictError(message, options);
+  }
+  if (VALIDATION_ERRORS.has(name)) {
+    return new ValidationError(message, options);
+  }
+  return new UpstreamError(message, options);
+}
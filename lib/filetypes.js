@@ -0,0 +1,252 @@
+import { ValidationError } from './errors.js';
+
+const MB = 1024 * 1024;
+
+// Bytes read from the start of a file to recognise text-based formats
+const TEXT_SNIFF_LENGTH = 512;
+
+// Leading bytes every type can be recognised from (PDF headers may start late)
+export const SNIFF_LENGTH = 1024;
+
+// HEIF brands used by HEIC/HEIF images (ISO/IEC 23008-12)
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) {
+    return false;
+  }
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.subarray(start, Math.min(end, buffer.length)).toString('latin1');
+}
+
+function textHead(buffer) {
+  // Skip a UTF-8 byte order mark
+  return ascii(buffer, 0, TEXT_SNIFF_LENGTH).replace(/^\xEF\xBB\xBF/, '').trimStart();
+}
+
+/**
+ * File types recognised from their content
+ *
+ * Each type has its canonical `contentType`, the `extension` used in object
+ * keys, other content types clients commonly declare for it (`aliases`),
+ * other file extensions it is saved with (`otherExtensions`) and a
+ * `matches(buffer)` test on the leading bytes. Gerber, Excellon, DXF and
+ * KiCad files are text, so they are recognised by their opening commands.
+ */
+export const FileTypes = {
+  jpeg: {
+    contentType: 'image/jpeg',
+    extension: 'jpg',
+    otherExtensions: ['jpeg'],
+    aliases: ['image/jpg', 'image/pjpeg'],
+    matches: buffer => startsWith(buffer, [0xFF, 0xD8, 0xFF])
+  },
+  png: {
+    contentType: 'image/png',
+    extension: 'png',
+    matches: buffer => startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])
+  },
+  webp: {
+    contentType: 'image/webp',
+    extension: 'webp',
+    matches: buffer => ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP'
+  },
+  heic: {
+    contentType: 'image/heic',
+    extension: 'heic',
+    otherExtensions: ['heif'],
+    aliases: ['image/heif', 'image/heic-sequence', 'image/heif-sequence'],
+    matches: buffer => ascii(buffer, 4, 8) === 'ftyp' && HEIF_BRANDS.includes(ascii(buffer, 8, 12))
+  },
+  pdf: {
+    contentType: 'application/pdf',
+    extension: 'pdf',
+    aliases: ['application/x-pdf'],
+    matches: buffer => ascii(buffer, 0, SNIFF_LENGTH).includes('%PDF-')
+  },
+  step: {
+    contentType: 'model/step',
+    extension: 'step',
+    otherExtensions: ['stp'],
+    aliases: ['application/step', 'application/p21', 'model/x-step'],
+    matches: buffer => textHead(buffer).startsWith('ISO-10303-21;')
+  },
+  gerber: {
+    contentType: 'application/vnd.gerber',
+    extension: 'gbr',
+    // Layer extensions used by common EDA tools
+    otherExtensions: ['ger', 'gtl', 'gbl', 'gto', 'gbo', 'gts', 'gbs', 'gtp', 'gbp', 'gko', 'gm1', 'gml', 'g1', 'g2', 'g3', 'g4'],
+    aliases: ['application/x-gerber'],
+    matches: buffer => /^(G04[\s*]|%(FS|MO|TF|TA|IN|IP)[A-Z.])/.test(textHead(buffer))
+  },
+  excellon: {
+    contentType: 'application/x-excellon',
+    extension: 'drl',
+    otherExtensions: ['xln', 'exc', 'drd'],
+    matches: buffer => /^(;.*\r?\n\s*)*M48\b/.test(textHead(buffer))
+  },
+  dxf: {
+    contentType: 'image/vnd.dxf',
+    extension: 'dxf',
+    aliases: ['application/dxf', 'image/x-dxf', 'application/x-dxf'],
+    matches: buffer => /^0\s*\r?\n\s*SECTION\b/.test(textHead(buffer))
+  },
+  kicadPcb: {
+    contentType: 'application/x-kicad-pcb',
+    extension: 'kicad_pcb',
+    matches: buffer => textHead(buffer).startsWith('(kicad_pcb')
+  },
+  kicadSchematic: {
+    contentType: 'application/x-kicad-schematic',
+    extension: 'kicad_sch',
+    matches: buffer => textHead(buffer).startsWith('(kicad_sch')
+  },
+  zip: {
+    contentType: 'application/zip',
+    extension: 'zip',
+    aliases: ['application/x-zip-compressed', 'application/x-zip'],
+    matches: buffer => startsWith(buffer, [0x50, 0x4B, 0x03, 0x04])
+  }
+};
+
+/**
+ * What each kind of upload accepts and where it is stored
+ *
+ * `types` are keys of FileTypes (the first is the default for presigned
+ * uploads) and `maxBytes` the largest file accepted. Identification images
+ * are analyzed by Rekognition, which reads only JPEG and PNG from S3, up to
+ * 15 MB. CAD uploads take zip archives for Gerber sets and other bundles.
+ */
+export const UploadCategories = {
+  image: {
+    folder: 'images',
+    types: ['jpeg', 'png', 'webp', 'heic'],
+    maxBytes: 10 * MB
+  },
+  identification: {
+    folder: 'identification',
+    types: ['jpeg', 'png'],
+    maxBytes: 15 * MB
+  },
+  datasheet: {
+    folder: 'datasheets',
+    types: ['pdf'],
+    maxBytes: 25 * MB
+  },
+  cad: {
+    folder: 'cad',
+    types: ['step', 'gerber', 'excellon', 'dxf', 'kicadPcb', 'kicadSchematic', 'zip'],
+    maxBytes: 50 * MB
+  }
+};
+
+/**
+ * Recognise a file from its leading bytes
+ *
+ * Returns `{ type, contentType, extension }`, or null when the content
+ * matches none of FileTypes.
+ */
+export function detectFileType(buffer) {
+  for (const [type, definition] of Object.entries(FileTypes)) {
+    if (definition.matches(buffer)) {
+      return { type, contentType: definition.contentType, extension: definition.extension };
+    }
+  }
+  return null;
+}
+
+/**
+ * A file name that is safe in an object key and ends in an extension of
+ * the detected type, appending the canonical one when it does not
+ */
+export function fileNameFor(filename, detected) {
+  const safe = String(filename || '').replace(/[\/\\]/g, '_').replace(/[\x00-\x1F]/g, '').trim() || 'file';
+  const extension = safe.includes('.') ? safe.split('.').pop().toLowerCase() : '';
+  const known = [detected.extension, ...(FileTypes[detected.type].otherExtensions || [])];
+  return known.includes(extension) ? safe : `${safe}.${detected.extension}`;
+}
+
+/**
+ * The FileTypes key for a declared content type, or null
+ */
+export function fileTypeForContentType(contentType) {
+  const normalized = String(contentType || '').split(';')[0].trim().toLowerCase();
+  for (const [type, definition] of Object.entries(FileTypes)) {
+    if (definition.contentType === normalized || definition.aliases?.includes(normalized)) {
+      return type;
+    }
+  }
+  return null;
+}
+
+function describeTypes(types) {
+  return types.map(type => FileTypes[type].contentType).join(', ');
+}
+
+/**
+ * Check a file's size against its category
+ *
+ * Throws a ValidationError (400 EMPTY_FILE or 413 FILE_TOO_LARGE).
+ */
+export function checkFileSize(category, size, categoryName = 'upload') {
+  if (!size) {
+    throw new ValidationError('File is empty', { code: 'EMPTY_FILE' });
+  }
+  if (size > category.maxBytes) {
+    throw new ValidationError(
+      `File is ${size} bytes; ${categoryName} uploads are limited to ${category.maxBytes} bytes`,
+      { statusCode: 413, code: 'FILE_TOO_LARGE', details: { size, maxBytes: category.maxBytes } }
+    );
+  }
+}
+
+/**
+ * Check a file's leading bytes against its category and declared type
+ *
+ * The content must be one of the category's types and, when a
+ * `declaredContentType` is given, that type. Throws a ValidationError (415
+ * UNSUPPORTED_FILE_TYPE or 400 CONTENT_TYPE_MISMATCH); returns the detected
+ * file type.
+ */
+export function checkFileType(category, buffer, declaredContentType, categoryName = 'upload') {
+  const detected = detectFileType(buffer);
+  const allowed = describeTypes(category.types);
+  if (!detected) {
+    throw new ValidationError(`File content is not a recognised type. Accepted for ${categoryName} uploads: ${allowed}`, {
+      statusCode: 415,
+      code: 'UNSUPPORTED_FILE_TYPE',
+      details: { allowed: category.types.map(type => FileTypes[type].contentType) }
+    });
+  }
+  if (!category.types.includes(detected.type)) {
+    throw new ValidationError(`${detected.contentType} files are not accepted for ${categoryName} uploads. Accepted: ${allowed}`, {
+      statusCode: 415,
+      code: 'UNSUPPORTED_FILE_TYPE',
+      details: { detected: detected.contentType, allowed: category.types.map(type => FileTypes[type].contentType) }
+    });
+  }
+  if (declaredContentType && fileTypeForContentType(declaredContentType) !== detected.type) {
+    throw new ValidationError(`File was declared as ${declaredContentType} but its content is ${detected.contentType}`, {
+      code: 'CONTENT_TYPE_MISMATCH',
+      details: { declared: declaredContentType, detected: detected.contentType }
+    });
+  }
+
+  return detected;
+}
+
+/**
+ * Check an upload against its category before it is stored
+ *
+ * Combines `checkFileSize` and `checkFileType`: the file must not be empty
+ * or larger than the category's `maxBytes`, and its content must be an
+ * accepted type matching any declared `contentType`. Returns the detected
+ * file type.
+ */
+export function checkUpload(category, buffer, declaredContentType, categoryName = 'upload') {
+  checkFileSize(category, buffer?.length || 0, categoryName);
+  return checkFileType(category, buffer, declaredContentType, categoryName);
+}
@@ -0,0 +1,130 @@
+import { ValidationError } from './errors.js';
+
+// Sorts after any timestamp suffix, so an end date includes its own movements
+const RANGE_END = '~';
+
+/**
+ * Ledger partition key for one component's stock movements
+ */
+export function movementKey(partitionKey, componentId) {
+  return `${partitionKey}#${componentId}`;
+}
+
+/**
+ * Build a stock movement ledger item
+ *
+ * Movement IDs start with the timestamp so a component's movements sort
+ * chronologically and can be queried by date range.
+ */
+export function createMovement(access, componentId, movement) {
+  const timestamp = movement.timestamp || new Date().toISOString();
+  const item = {
+    componentKey: movementKey(access.partitionKey, componentId),
+    movementId: `${timestamp}#${movement.suffix || Math.random().toString(36).substr(2, 9)}`,
+    userId: access.partitionKey,
+    componentId,
+    timestamp,
+    delta: movement.delta,
+    quantity: movement.quantity,
+    reason: movement.reason,
+    actor: movement.actor ?? access.actorId
+  };
+
+  if (access.orgId) {
+    item.orgId = access.orgId;
+  }
+  if (movement.projectRef) {
+    item.projectRef = movement.projectRef;
+  }
+  if (movement.note) {
+    item.note = movement.note;
+  }
+
+  return item;
+}
+
+function toTimestamp(value, name) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${name} must be a date`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Sort-key condition selecting movements between two dates (inclusive)
+ *
+ * Returns `{ expression, values }` for a KeyConditionExpression, or null
+ * when neither end is given.
+ */
+export function movementRangeCondition(from, to) {
+  const start = from !== undefined && from !== null ? toTimestamp(from, 'from') : null;
+  const end = to !== undefined && to !== null ? `${toTimestamp(to, 'to')}${RANGE_END}` : null;
+
+  if (start && end) {
+    return {
+      expression: 'movementId BETWEEN :from AND :to',
+      values: { ':from': start, ':to': end }
+    };
+  }
+  if (start) {
+    return { expression: 'movementId >= :from', values: { ':from': start } };
+  }
+  if (end) {
+    return { expression: 'movementId <= :to', values: { ':to': end } };
+  }
+  return null;
+}
+
+/**
+ * Timestamp of one `stockHistory` entry
+ *
+ * Undated entries get the component's `createdAt` plus their position in
+ * milliseconds, so they keep their order and the same ID on every run.
+ */
+function historyTimestamp(entry, index, createdAt) {
+  if (entry.date === undefined || entry.date === null) {
+    const base = createdAt ? Date.parse(createdAt) : NaN;
+    if (Number.isNaN(base)) {
+      throw new ValidationError(`stockHistory entry ${index} has no date and the component no createdAt`, {
+        details: { index }
+      });
+    }
+    return new Date(base + index).toISOString();
+  }
+
+  const date = new Date(entry.date);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`stockHistory entry ${index} has an invalid date "${entry.date}"`, {
+      details: { index, date: entry.date }
+    });
+  }
+  return date.toISOString();
+}
+
+/**
+ * Convert an embedded `stockHistory` list into ledger movements
+ *
+ * Older entries record the resulting `quantity`; entries from relative
+ * adjustments record the `change`. Both become `{ delta, quantity }` by
+ * replaying the list in order. Timestamps come from each entry's `date`
+ * (or `createdAt` for undated entries) and suffixes from its position, so
+ * converting the same history twice yields the same IDs. An unparseable
+ * date throws a ValidationError.
+ */
+export function historyToMovements(stockHistory = [], createdAt = null) {
+  let quantity = 0;
+
+  return stockHistory.map((entry, index) => {
+    const delta = entry.change !== undefined ? entry.change : entry.quantity - quantity;
+    quantity += delta;
+    return {
+      timestamp: historyTimestamp(entry, index, createdAt),
+      suffix: `history${String(index).padStart(4, '0')}`,
+      delta,
+      quantity,
+      reason: entry.action || 'manual',
+      actor: entry.actor || null
+    };
+  });
+}
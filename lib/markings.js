@@ -0,0 +1,288 @@
+import { ComponentTypes } from './constants.js';
+import { formatValue, Quantities } from './units.js';
+
+// EIA-96 1% resistor values, indexed by code 01-96
+const EIA96_VALUES = [
+  100, 102, 105, 107, 110, 113, 115, 118, 121, 124, 127, 130,
+  133, 137, 140, 143, 147, 150, 154, 158, 162, 165, 169, 174,
+  178, 182, 187, 191, 196, 200, 205, 210, 215, 221, 226, 232,
+  237, 243, 249, 255, 261, 267, 274, 280, 287, 294, 301, 309,
+  316, 324, 332, 340, 348, 357, 365, 374, 383, 392, 402, 412,
+  422, 432, 442, 453, 464, 475, 487, 499, 511, 523, 536, 549,
+  562, 576, 590, 604, 619, 634, 649, 665, 681, 698, 715, 732,
+  750, 768, 787, 806, 825, 845, 866, 887, 909, 931, 953, 976
+];
+
+const EIA96_MULTIPLIERS = {
+  Z: 0.001,
+  Y: 0.01,
+  R: 0.01,
+  X: 0.1,
+  S: 0.1,
+  A: 1,
+  B: 10,
+  H: 10,
+  C: 100,
+  D: 1000,
+  E: 10000,
+  F: 100000
+};
+
+// Third digit of a 3-digit capacitor code: 8 and 9 mean ×0.01 and ×0.1
+const CAPACITOR_MULTIPLIER_DIGITS = { 8: 0.01, 9: 0.1 };
+
+export const CapacitorToleranceCodes = {
+  B: '±0.1pF',
+  C: '±0.25pF',
+  D: '±0.5pF',
+  F: '±1%',
+  G: '±2%',
+  J: '±5%',
+  K: '±10%',
+  M: '±20%',
+  Z: '+80/-20%'
+};
+
+// EIA two-character voltage codes used on ceramic and film capacitors
+export const CapacitorVoltageCodes = {
+  '0G': 4,
+  '0L': 5.5,
+  '0J': 6.3,
+  '1A': 10,
+  '1C': 16,
+  '1D': 20,
+  '1E': 25,
+  '1V': 35,
+  '1H': 50,
+  '1J': 63,
+  '1K': 80,
+  '2A': 100,
+  '2Q': 110,
+  '2B': 125,
+  '2C': 160,
+  '2Z': 180,
+  '2D': 200,
+  '2P': 220,
+  '2E': 250,
+  '2F': 315,
+  '2V': 350,
+  '2G': 400,
+  '2W': 450,
+  '2J': 630,
+  '3A': 1000
+};
+
+// Single-letter voltage codes used on tantalum capacitors
+export const TantalumVoltageCodes = {
+  e: 2.5,
+  G: 4,
+  J: 6.3,
+  A: 10,
+  C: 16,
+  D: 20,
+  E: 25,
+  V: 35,
+  H: 50
+};
+
+const INDUCTOR_TOLERANCE_CODES = {
+  J: '±5%',
+  K: '±10%',
+  M: '±20%'
+};
+
+function candidate(componentType, scheme, value, quantity, extra = {}) {
+  return {
+    componentType,
+    scheme,
+    value: formatValue(value, quantity),
+    normalizedValue: parseFloat(value.toPrecision(12)),
+    ...extra
+  };
+}
+
+/**
+ * Decode an SMD resistor marking: "472", "4702", "4R7", "R47" or EIA-96 "01C"
+ */
+export function decodeResistorMarking(code) {
+  const text = String(code).trim().toUpperCase();
+  const type = ComponentTypes.RESISTOR;
+  let match;
+
+  if (/^0{1,4}$/.test(text)) {
+    return [candidate(type, 'zero_ohm', 0, Quantities.RESISTANCE)];
+  }
+  if ((match = text.match(/^(\d{2})([0-7])$/))) {
+    return [candidate(type, '3_digit', Number(match[1]) * Math.pow(10, Number(match[2])), Quantities.RESISTANCE)];
+  }
+  if ((match = text.match(/^(\d{3})([0-6])$/))) {
+    return [candidate(type, '4_digit', Number(match[1]) * Math.pow(10, Number(match[2])), Quantities.RESISTANCE)];
+  }
+  if ((match = text.match(/^(\d*)R(\d*)$/)) && (match[1] || match[2])) {
+    return [candidate(type, 'r_notation', parseFloat(`${match[1] || 0}.${match[2] || 0}`), Quantities.RESISTANCE)];
+  }
+  if ((match = text.match(/^(\d{2})([ZYRXSABHCDEF])$/))) {
+    const index = Number(match[1]);
+    if (index >= 1 && index <= 96) {
+      return [candidate(type, 'eia96', EIA96_VALUES[index - 1] * EIA96_MULTIPLIERS[match[2]], Quantities.RESISTANCE, {
+        tolerance: '±1%'
+      })];
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Decode a ceramic or tantalum capacitor marking
+ *
+ * Handles 3-digit picofarad codes with an optional trailing letter ("104",
+ * "104K", "107C"), an optional leading EIA voltage code ("2A104J"), and
+ * infix notation ("4p7", "2n2"). A trailing letter can be a ceramic
+ * tolerance code or a tantalum voltage code, so both readings are returned.
+ */
+export function decodeCapacitorMarking(code) {
+  const text = String(code).trim();
+  const type = ComponentTypes.CAPACITOR;
+  let match;
+
+  if ((match = text.match(/^(\d)([pnuµμ])(\d)$/i))) {
+    const scale = { p: 1e-12, n: 1e-9, u: 1e-6, 'µ': 1e-6, 'μ': 1e-6 }[match[2].toLowerCase()];
+    return [candidate(type, 'infix', parseFloat(`${match[1]}.${match[3]}`) * scale, Quantities.CAPACITANCE)];
+  }
+
+  match = text.match(/^(\d[A-Z])?(\d{2})(\d)([A-Za-z])?$/);
+  if (!match) {
+    return [];
+  }
+
+  const [, voltageCode, digits, multiplierDigit, letter] = match;
+  if (digits === '00') {
+    return [];
+  }
+  const multiplier = CAPACITOR_MULTIPLIER_DIGITS[multiplierDigit] ?? Math.pow(10, Number(multiplierDigit));
+  const farads = Number(digits) * multiplier * 1e-12;
+
+  const base = {};
+  if (voltageCode) {
+    if (!(voltageCode in CapacitorVoltageCodes)) {
+      return [];
+    }
+    base.voltageRating = `${CapacitorVoltageCodes[voltageCode]}V`;
+  }
+
+  // Ceramic codes stop at ×10⁶ pF; "107" (100µF) only appears on tantalum parts
+  const ceramic = multiplierDigit !== '7';
+
+  if (!letter) {
+    return ceramic ? [candidate(type, 'ceramic', farads, Quantities.CAPACITANCE, base)] : [];
+  }
+
+  const candidates = [];
+  if (ceramic && letter in CapacitorToleranceCodes) {
+    candidates.push(candidate(type, 'ceramic', farads, Quantities.CAPACITANCE, {
+      ...base,
+      tolerance: CapacitorToleranceCodes[letter]
+    }));
+  }
+  if (!voltageCode && letter in TantalumVoltageCodes) {
+    candidates.push(candidate(type, 'tantalum', farads, Quantities.CAPACITANCE, {
+      voltageRating: `${TantalumVoltageCodes[letter]}V`
+    }));
+  }
+
+  return candidates;
+}
+
+/**
+ * Decode an SMD inductor marking in microhenries: "101", "4R7", "R47", "4N7", "47N"
+ */
+export function decodeInductorMarking(code) {
+  const text = String(code).trim().toUpperCase();
+  const type = ComponentTypes.INDUCTOR;
+  const tolerance = INDUCTOR_TOLERANCE_CODES[text.slice(-1)];
+  const body = tolerance && text.length > 3 ? text.slice(0, -1) : text;
+  const extra = tolerance && body !== text ? { tolerance } : {};
+  let match;
+
+  if ((match = body.match(/^(\d{2})([0-5])$/)) && match[1] !== '00') {
+    return [candidate(type, '3_digit', Number(match[1]) * Math.pow(10, Number(match[2])) * 1e-6, Quantities.INDUCTANCE, extra)];
+  }
+  if ((match = body.match(/^(\d*)R(\d*)$/)) && (match[1] || match[2])) {
+    return [candidate(type, 'r_notation', parseFloat(`${match[1] || 0}.${match[2] || 0}`) * 1e-6, Quantities.INDUCTANCE, extra)];
+  }
+  if ((match = body.match(/^(\d*)N(\d*)$/)) && (match[1] || match[2])) {
+    return [candidate(type, 'n_notation', parseFloat(`${match[1] || 0}.${match[2] || 0}`) * 1e-9, Quantities.INDUCTANCE, extra)];
+  }
+
+  return [];
+}
+
+const DECODERS = {
+  [ComponentTypes.RESISTOR]: decodeResistorMarking,
+  [ComponentTypes.CAPACITOR]: decodeCapacitorMarking,
+  [ComponentTypes.INDUCTOR]: decodeInductorMarking
+};
+
+/**
+ * Decode a marking code, optionally for a known component type
+ *
+ * Returns `{ code, candidates, ambiguous }`. Without a component type every
+ * decoder is tried, so a bare "472" yields a 4.7kΩ resistor, a 4.7nF
+ * capacitor and a 4.7mH inductor as candidates.
+ */
+export function decodeMarking(code, componentType = null) {
+  const decoders = componentType
+    ? [DECODERS[componentType]].filter(Boolean)
+    : Object.values(DECODERS);
+
+  const candidates = decoders.flatMap(decode => decode(code));
+  return {
+    code: String(code).trim(),
+    candidates,
+    ambiguous: candidates.length > 1
+  };
+}
+
+/**
+ * Decode the marking codes found in lines of OCR text
+ *
+ * Each whitespace-separated token is decoded. Stand-alone capacitor voltage
+ * tokens ("50V", "1H") are applied to capacitor candidates that lack a
+ * voltage rating.
+ */
+export function decodeMarkingText(lines, componentType = null) {
+  const results = [];
+  let voltageRating = null;
+
+  for (const line of lines) {
+    for (const token of line.split(/[\s,]+/).filter(Boolean)) {
+      const voltage = token.toUpperCase().match(/^(\d+(?:\.\d+)?)V$/);
+      if (voltage) {
+        voltageRating = `${voltage[1]}V`;
+        continue;
+      }
+      if (token in CapacitorVoltageCodes) {
+        voltageRating = `${CapacitorVoltageCodes[token]}V`;
+        continue;
+      }
+
+      const decoded = decodeMarking(token, componentType);
+      if (decoded.candidates.length > 0) {
+        results.push(decoded);
+      }
+    }
+  }
+
+  if (voltageRating) {
+    for (const result of results) {
+      for (const item of result.candidates) {
+        if (item.componentType === ComponentTypes.CAPACITOR && !item.voltageRating) {
+          item.voltageRating = voltageRating;
+        }
+      }
+    }
+  }
+
+  return results;
+}
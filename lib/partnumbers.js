@@ -0,0 +1,236 @@
+import { ValidationError } from './errors.js';
+
+// Package suffixes shared by most TI/ON/ST logic and analog parts
+const COMMON_PACKAGES = {
+  N: 'PDIP',
+  P: 'PDIP',
+  E: 'PDIP',
+  D: 'SOIC',
+  DR: 'SOIC',
+  DW: 'SOIC-W',
+  M: 'SOIC',
+  NS: 'SOP',
+  DB: 'SSOP',
+  PW: 'TSSOP',
+  PWR: 'TSSOP',
+  DBV: 'SOT-23',
+  DCK: 'SC-70',
+  DGK: 'VSSOP',
+  RGY: 'VQFN',
+  T: 'TO-220',
+  Z: 'TO-92',
+  LP: 'TO-92'
+};
+
+const LOGIC_PREFIXES = {
+  SN: 'Texas Instruments',
+  CD: 'Texas Instruments',
+  MC: 'ON Semiconductor',
+  M: 'STMicroelectronics',
+  HD: 'Renesas',
+  NC7: 'ON Semiconductor',
+  '': null
+};
+
+const ANALOG_PREFIXES = {
+  LM: 'Texas Instruments',
+  TL: 'Texas Instruments',
+  TLV: 'Texas Instruments',
+  OPA: 'Texas Instruments',
+  INA: 'Texas Instruments',
+  TPS: 'Texas Instruments',
+  UA: 'Texas Instruments',
+  NE: 'Texas Instruments',
+  SA: 'NXP',
+  MC: 'ON Semiconductor',
+  AD: 'Analog Devices',
+  ADM: 'Analog Devices',
+  MAX: 'Analog Devices (Maxim)',
+  LT: 'Analog Devices (Linear Technology)',
+  LTC: 'Analog Devices (Linear Technology)',
+  MCP: 'Microchip'
+};
+
+const AVR_PACKAGES = { P: 'PDIP', A: 'TQFP', M: 'QFN/MLF', S: 'SOIC', X: 'TSSOP', C: 'BGA' };
+const AVR_TEMPERATURES = { U: 'industrial (-40°C to 85°C)', N: 'extended (-40°C to 105°C)', Z: 'automotive (-40°C to 125°C)', C: 'commercial (0°C to 70°C)' };
+
+const STM32_PINS = { F: 20, G: 28, K: 32, T: 36, S: 44, C: 48, R: 64, M: 81, O: 90, V: 100, Q: 132, Z: 144, A: 169, I: 176, B: 208, N: 216 };
+const STM32_FLASH = { 4: '16KB', 6: '32KB', 8: '64KB', B: '128KB', Z: '192KB', C: '256KB', D: '384KB', E: '512KB', F: '768KB', G: '1MB', H: '1.5MB', I: '2MB' };
+const STM32_PACKAGES = { T: 'LQFP', H: 'BGA', U: 'VFQFPN', Y: 'WLCSP', P: 'TSSOP', K: 'UFBGA' };
+const STM32_TEMPERATURES = { 6: '-40°C to 85°C', 7: '-40°C to 105°C', 3: '-40°C to 125°C' };
+
+/**
+ * Built-in part-number grammars
+ *
+ * A grammar has a `name`, a `pattern` with named groups matched against the
+ * normalized marking (upper-case, no spaces), and a `decode(groups)` that
+ * returns any of `manufacturer`, `basePart`, `family`, `package`,
+ * `temperatureRange` and `details`.
+ */
+export const DefaultPartNumberGrammars = [
+  {
+    name: 'stm32',
+    pattern: /^(?<base>STM32)(?<series>[FLGHUWC]\d)(?<line>\d{2})(?<pins>[A-Z])(?<flash>[0-9A-Z])(?<package>[A-Z])(?<temp>\d)?$/,
+    decode: groups => ({
+      manufacturer: 'STMicroelectronics',
+      basePart: `STM32${groups.series}${groups.line}`,
+      family: `STM32${groups.series}`,
+      package: STM32_PACKAGES[groups.package]
+        ? `${STM32_PACKAGES[groups.package]}${STM32_PINS[groups.pins] ? `-${STM32_PINS[groups.pins]}` : ''}`
+        : null,
+      temperatureRange: STM32_TEMPERATURES[groups.temp] || null,
+      details: {
+        pinCount: STM32_PINS[groups.pins] || null,
+        flash: STM32_FLASH[groups.flash] || null
+      }
+    })
+  },
+  {
+    name: 'avr',
+    pattern: /^(?<base>AT(?:MEGA|TINY|XMEGA)\d+[A-Z]*?)-?(?<speed>\d{1,2})?(?<package>[PAMSXC])(?<temp>[UNZC])$/,
+    decode: groups => ({
+      manufacturer: 'Microchip (Atmel)',
+      basePart: groups.base,
+      family: groups.base.match(/^AT(MEGA|TINY|XMEGA)/)[0],
+      package: AVR_PACKAGES[groups.package],
+      temperatureRange: AVR_TEMPERATURES[groups.temp],
+      details: groups.speed ? { maxSpeedMHz: Number(groups.speed) } : {}
+    })
+  },
+  {
+    name: 'avr_base',
+    pattern: /^(?<base>AT(?:MEGA|TINY|XMEGA)\d+[A-Z]*)$/,
+    decode: groups => ({
+      manufacturer: 'Microchip (Atmel)',
+      basePart: groups.base,
+      family: groups.base.match(/^AT(MEGA|TINY|XMEGA)/)[0]
+    })
+  },
+  {
+    name: 'cmos_4000',
+    pattern: /^(?<prefix>CD|HEF|MC1)(?<number>4\d{3})(?<grade>B|UB)?(?<package>[A-Z]{1,3})?$/,
+    decode: groups => ({
+      manufacturer: { CD: 'Texas Instruments', HEF: 'Nexperia', MC1: 'ON Semiconductor' }[groups.prefix],
+      basePart: `${groups.number}${groups.grade || ''}`,
+      family: '4000 CMOS',
+      package: COMMON_PACKAGES[groups.package] || null
+    })
+  },
+  {
+    name: 'logic_7400',
+    pattern: /^(?<prefix>SN|CD|MC|M|HD|NC7)?(?<series>54|74)(?<family>AHCT|AHC|ALVC|ALS|ABT|ACT|AUC|HCT|HC|LVC|LVX|LV|LS|VHC|AC|F|S)?(?<function>\d{2,4})(?<package>[A-Z]{1,3})?$/,
+    decode: groups => ({
+      manufacturer: LOGIC_PREFIXES[groups.prefix || ''],
+      basePart: `${groups.series}${groups.family || ''}${groups.function}`,
+      family: groups.family || 'TTL',
+      package: COMMON_PACKAGES[groups.package] || null,
+      temperatureRange: groups.series === '54' ? 'military (-55°C to 125°C)' : null
+    })
+  },
+  {
+    name: 'analog',
+    pattern: /^(?<prefix>LTC|LT|TLV|TL|LM|OPA|INA|TPS|UA|NE|SA|MC|ADM|AD|MAX|MCP)(?<number>\d{2,5}[A-Z]??)(?<grade>[A-Z])??(?<package>N|P|D|DR|DW|M|PW|PWR|DBV|DCK|DGK|T|Z|LP)?$/,
+    decode: groups => ({
+      manufacturer: ANALOG_PREFIXES[groups.prefix],
+      basePart: `${groups.prefix}${groups.number}`,
+      family: groups.prefix,
+      package: COMMON_PACKAGES[groups.package] || null
+    })
+  }
+];
+
+export class PartNumberParser {
+  constructor(grammars = DefaultPartNumberGrammars) {
+    this.grammars = [...grammars];
+  }
+
+  /**
+   * Add a grammar, tried before the existing ones
+   */
+  addGrammar(grammar) {
+    if (!grammar || !grammar.name || !(grammar.pattern instanceof RegExp)) {
+      throw new ValidationError('A part-number grammar needs a name and a RegExp pattern', { code: 'INVALID_CONFIG' });
+    }
+    this.grammars.unshift(grammar);
+    return this;
+  }
+
+  /**
+   * Normalize marking text for matching: upper-case, no spaces or dots
+   */
+  normalize(text) {
+    return String(text).toUpperCase().replace(/[\s.]+/g, '');
+  }
+
+  /**
+   * Parse a single part number
+   *
+   * Returns `{ partNumber, manufacturer, basePart, family, package,
+   * temperatureRange, details, grammar }`, or null when no grammar matches.
+   * Hyphens are tried as written and then removed.
+   */
+  parse(text) {
+    const normalized = this.normalize(text);
+    const attempts = normalized.includes('-') ? [normalized, normalized.replace(/-/g, '')] : [normalized];
+
+    for (const attempt of attempts) {
+      for (const grammar of this.grammars) {
+        const match = attempt.match(grammar.pattern);
+        if (!match) {
+          continue;
+        }
+
+        const decoded = grammar.decode ? grammar.decode(match.groups || {}, match) : {};
+        return {
+          partNumber: normalized,
+          manufacturer: null,
+          basePart: attempt,
+          family: null,
+          package: null,
+          temperatureRange: null,
+          details: {},
+          ...decoded,
+          grammar: grammar.name
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a multi-line IC marking
+   *
+   * Each line is tried alone and joined with the following line, since
+   * markings often split a part number ("ATMEGA328P" / "-PU"). Returns every
+   * distinct part number found, most specific first.
+   */
+  parseMarking(lines) {
+    const results = [];
+    const seen = new Set();
+
+    lines.forEach((line, index) => {
+      const attempts = [line];
+      if (index + 1 < lines.length) {
+        attempts.unshift(`${line}${lines[index + 1]}`);
+      }
+
+      for (const attempt of attempts) {
+        const parsed = this.parse(attempt);
+        if (parsed && !seen.has(parsed.partNumber)) {
+          seen.add(parsed.partNumber);
+          results.push(parsed);
+          break;
+        }
+      }
+    });
+
+    return results.sort((a, b) => specificity(b) - specificity(a));
+  }
+}
+
+function specificity(parsed) {
+  return ['manufacturer', 'family', 'package', 'temperatureRange']
+    .filter(field => parsed[field])
+    .length * 100 + parsed.partNumber.length;
+}
@@ -1,5 +1,39 @@
 import { RekognitionClient, DetectLabelsCommand, DetectTextCommand } from '@aws-sdk/client-rekognition';
-import { ResistorColorCodes } from './constants.js';
+import { decodeColorBands, normalizeBandColor } from './colorbands.js';
+import { decodeMarkingText } from './markings.js';
+import { PartNumberParser } from './partnumbers.js';
+import { KeywordClassifier, FunctionClassifier, mergeClassifications } from './classifiers.js';
+import { ValidationError, fromAwsError } from './errors.js';
+
+// Bounding boxes are { Left, Top, Width, Height } as ratios of the image size.
+function intersectionOverUnion(a, b) {
+  const left = Math.max(a.Left, b.Left);
+  const top = Math.max(a.Top, b.Top);
+  const right = Math.min(a.Left + a.Width, b.Left + b.Width);
+  const bottom = Math.min(a.Top + a.Height, b.Top + b.Height);
+  if (right <= left || bottom <= top) {
+    return 0;
+  }
+  const intersection = (right - left) * (bottom - top);
+  return intersection / (a.Width * a.Height + b.Width * b.Height - intersection);
+}
+
+function boxCenter(box) {
+  return { x: box.Left + box.Width / 2, y: box.Top + box.Height / 2 };
+}
+
+function boxContains(box, point, margin = 0) {
+  const padX = box.Width * margin;
+  const padY = box.Height * margin;
+  return point.x >= box.Left - padX && point.x <= box.Left + box.Width + padX &&
+    point.y >= box.Top - padY && point.y <= box.Top + box.Height + padY;
+}
+
+function centerDistance(a, b) {
+  const ca = boxCenter(a);
+  const cb = boxCenter(b);
+  return Math.hypot(ca.x - cb.x, ca.y - cb.y);
+}
 
 export class ComponentAnalyzer {
   constructor(config = {}) {
@@ -7,6 +41,60 @@ export class ComponentAnalyzer {
       region: config.region || process.env.AWS_REGION || 'us-east-1' 
     });
     this.minConfidence = config.minConfidence || 70;
+    this.partNumberParser = config.partNumberParser || new PartNumberParser();
+    for (const grammar of config.partNumberGrammars || []) {
+      this.partNumberParser.addGrammar(grammar);
+    }
+    this.keywordClassifier = new KeywordClassifier({ keywords: config.typeKeywords });
+    this.classifiers = [];
+    for (const classifier of config.classifiers || [this.keywordClassifier]) {
+      this.addClassifier(classifier);
+    }
+  }
+
+  /**
+   * Register a classifier backend
+   *
+   * Accepts an object with `classify(context)` (such as KeywordClassifier or
+   * CustomLabelsClassifier) or a plain `(context) => matches` function.
+   */
+  addClassifier(classifier, options = {}) {
+    if (typeof classifier === 'function') {
+      classifier = new FunctionClassifier(classifier, options);
+    } else if (!classifier || typeof classifier.classify !== 'function') {
+      throw new ValidationError('A classifier must be a function or have a classify(context) method', { code: 'INVALID_CONFIG' });
+    }
+    this.classifiers.push(classifier);
+    return this;
+  }
+
+  /**
+   * Run every classifier and merge their results by confidence weight
+   *
+   * For one object in a tray image, `region` gives its `boundingBox` (and
+   * the `image` parameter shared by the tray's objects); classifiers see
+   * only that object's labels and text, plus `context.boundingBox`.
+   */
+  async classifyComponent(imageSource, labels, textDetections, region = {}) {
+    const context = {
+      imageSource,
+      image: region.image || this.buildImageParam(imageSource),
+      labels,
+      textDetections,
+      client: this.client,
+      minConfidence: this.minConfidence
+    };
+    if (region.boundingBox) {
+      context.boundingBox = region.boundingBox;
+    }
+
+    const results = await Promise.all(this.classifiers.map(async classifier => ({
+      classifier: classifier.name,
+      weight: classifier.weight ?? 1,
+      matches: await classifier.classify(context)
+    })));
+
+    return mergeClassifications(results);
   }
 
   /**
@@ -18,7 +106,35 @@ export class ComponentAnalyzer {
       this.detectText(imageSource)
     ]);
 
-    return this.interpretResults(labels, text);
+    const classifications = await this.classifyComponent(imageSource, labels, text);
+    return this.interpretResults(labels, text, classifications);
+  }
+
+  /**
+   * Analyze an image holding several components, such as a tray or bag of parts
+   *
+   * Returns one result per detected object instance, each with its own type
+   * guess from the configured classifiers, the text found inside or next
+   * to its bounding box, and the box.
+   */
+  async analyzeTray(imageSource, options = {}) {
+    const [labels, text] = await Promise.all([
+      this.detectLabels(imageSource),
+      this.detectText(imageSource)
+    ]);
+
+    return this.interpretTrayResults(labels, text, { ...options, imageSource });
+  }
+
+  /**
+   * Send a command, translating SDK exceptions into typed errors
+   */
+  async send(command) {
+    try {
+      return await this.client.send(command);
+    } catch (error) {
+      throw fromAwsError(error, 'Rekognition');
+    }
   }
 
   /**
@@ -31,7 +147,7 @@ export class ComponentAnalyzer {
       MaxLabels: 20
     };
 
-    const result = await this.client.send(new DetectLabelsCommand(params));
+    const result = await this.send(new DetectLabelsCommand(params));
     return result.Labels || [];
   }
 
@@ -43,7 +159,7 @@ export class ComponentAnalyzer {
       Image: this.buildImageParam(imageSource)
     };
 
-    const result = await this.client.send(new DetectTextCommand(params));
+    const result = await this.send(new DetectTextCommand(params));
     return result.TextDetections || [];
   }
 
@@ -63,13 +179,13 @@ export class ComponentAnalyzer {
         Bytes: imageSource.bytes
       };
     }
-    throw new Error('Invalid image source. Provide either S3 object or bytes.');
+    throw new ValidationError('Invalid image source. Provide either S3 object or bytes.');
   }
 
   /**
    * Interpret Rekognition results to identify component
    */
-  interpretResults(labels, textDetections) {
+  interpretResults(labels, textDetections, classifications = this.identifyComponentType(labels)) {
     const componentData = {
       confidence: 0,
       type: 'unknown',
@@ -81,8 +197,8 @@ export class ComponentAnalyzer {
       analysis: {}
     };
 
-    // Identify component type from labels
-    const componentTypes = this.identifyComponentType(labels);
+    // Identify component type from classifier results
+    const componentTypes = classifications;
     if (componentTypes.length > 0) {
       componentData.type = componentTypes[0].type;
       componentData.confidence = componentTypes[0].confidence;
@@ -94,44 +210,118 @@ export class ComponentAnalyzer {
       componentData.analysis.resistor = this.analyzeResistor(labels, textDetections);
     } else if (componentData.type === 'capacitor') {
       componentData.analysis.capacitor = this.analyzeCapacitor(textDetections);
+    } else if (componentData.type === 'inductor') {
+      componentData.analysis.inductor = this.analyzeInductor(textDetections);
     } else if (componentData.type === 'integrated_circuit') {
       componentData.analysis.ic = this.analyzeIC(textDetections);
+    } else if (componentData.type === 'unknown') {
+      // Without a type, report every reading of any marking codes found
+      const markings = decodeMarkingText(this.getTextLines(textDetections));
+      if (markings.length > 0) {
+        componentData.analysis.markings = markings;
+      }
     }
 
     return componentData;
   }
 
   /**
-   * Identify component type from labels
+   * Split Rekognition results into per-instance component results
+   *
+   * Label instances whose boxes overlap by more than `overlapThreshold` (IoU)
+   * are treated as the same object. A LINE text detection belongs to the
+   * instance whose box contains its center, or failing that the nearest box
+   * within `textMargin` (a fraction of the box size) of it. Each instance is
+   * typed by the configured classifiers, given `options.imageSource`;
+   * without it only the keyword classifier can run.
    */
-  identifyComponentType(labels) {
-    const typeKeywords = {
-      resistor: ['resistor', 'resistance', 'band', 'cylinder', 'electronic component'],
-      capacitor: ['capacitor', 'electrolytic', 'ceramic'],
-      diode: ['diode', 'led', 'semiconductor'],
-      transistor: ['transistor', 'mosfet', 'bjt'],
-      integrated_circuit: ['chip', 'ic', 'microchip', 'processor', 'circuit board'],
-      connector: ['connector', 'pin', 'header', 'socket'],
-      inductor: ['inductor', 'coil']
-    };
+  async interpretTrayResults(labels, textDetections, options = {}) {
+    const { overlapThreshold = 0.5, textMargin = 0.25, imageSource } = options;
+    const objects = [];
 
-    const matches = [];
-    
-    for (const [type, keywords] of Object.entries(typeKeywords)) {
-      for (const label of labels) {
-        const labelLower = label.Name.toLowerCase();
-        if (keywords.some(keyword => labelLower.includes(keyword))) {
-          matches.push({
-            type,
-            confidence: label.Confidence,
-            matchedLabel: label.Name
-          });
-          break;
+    for (const label of labels) {
+      for (const instance of label.Instances || []) {
+        if (!instance.BoundingBox) {
+          continue;
         }
+
+        const instanceLabels = [
+          { Name: label.Name, Confidence: instance.Confidence ?? label.Confidence },
+          ...(label.Parents || []).map(parent => ({
+            Name: parent.Name,
+            Confidence: instance.Confidence ?? label.Confidence
+          }))
+        ];
+
+        const existing = objects.find(o => intersectionOverUnion(o.boundingBox, instance.BoundingBox) > overlapThreshold);
+        if (existing) {
+          existing.labels.push(...instanceLabels);
+        } else {
+          objects.push({ boundingBox: instance.BoundingBox, labels: instanceLabels, text: [] });
+        }
+      }
+    }
+
+    const unassignedText = [];
+    for (const detection of textDetections.filter(t => t.Type === 'LINE')) {
+      const box = detection.Geometry?.BoundingBox;
+      const owner = box && this.findTextOwner(objects, box, textMargin);
+      if (owner) {
+        owner.text.push(detection);
+      } else {
+        unassignedText.push({ text: detection.DetectedText, confidence: detection.Confidence });
       }
     }
 
-    return matches.sort((a, b) => b.confidence - a.confidence);
+    const image = imageSource && this.buildImageParam(imageSource);
+    const instances = await Promise.all(objects.map(async (object, index) => ({
+      instanceId: index + 1,
+      boundingBox: object.boundingBox,
+      ...this.interpretResults(
+        object.labels,
+        object.text,
+        imageSource
+          ? await this.classifyComponent(imageSource, object.labels, object.text, { image, boundingBox: object.boundingBox })
+          : undefined
+      )
+    })));
+
+    const countsByType = {};
+    for (const instance of instances) {
+      countsByType[instance.type] = (countsByType[instance.type] || 0) + 1;
+    }
+
+    return {
+      count: instances.length,
+      countsByType,
+      instances,
+      unassignedText
+    };
+  }
+
+  /**
+   * Find the object a text box belongs to, or null
+   */
+  findTextOwner(objects, textBox, margin) {
+    const center = boxCenter(textBox);
+    const containing = objects.filter(o => boxContains(o.boundingBox, center));
+    const candidates = containing.length > 0
+      ? containing
+      : objects.filter(o => boxContains(o.boundingBox, center, margin));
+
+    if (candidates.length === 0) {
+      return null;
+    }
+    return candidates.reduce((best, o) =>
+      centerDistance(o.boundingBox, textBox) < centerDistance(best.boundingBox, textBox) ? o : best
+    );
+  }
+
+  /**
+   * Identify component type from labels
+   */
+  identifyComponentType(labels) {
+    return this.keywordClassifier.classifyLabels(labels);
   }
 
   /**
@@ -145,11 +335,7 @@ export class ComponentAnalyzer {
     };
 
     // Check for color-related labels
-    const colorLabels = labels.filter(l => 
-      Object.keys(ResistorColorCodes).some(color => 
-        l.Name.toLowerCase().includes(color.toLowerCase())
-      )
-    );
+    const colorLabels = labels.filter(l => this.labelBandColor(l) !== null);
 
     if (colorLabels.length >= 2) {
       analysis.hasColorBands = true;
@@ -162,18 +348,72 @@ export class ComponentAnalyzer {
       .filter(t => t.Type === 'LINE')
       .map(t => t.DetectedText);
     
-    const resistancePattern = /(\d+\.?\d*)\s*([kKmM]?)(Ω|ohm|R)/i;
+    const resistancePattern = /(\d+\.?\d*)\s*([kKmM]?)(Ω|ohm|R)(?!\d)/i;
     for (const text of texts) {
       const match = text.match(resistancePattern);
       if (match) {
         analysis.estimatedValue = `${match[1]}${match[2]}Ω`;
+        analysis.valueSource = 'text';
         break;
       }
     }
 
+    // Then SMD marking codes ("472", "4R7", "01C")
+    if (!analysis.estimatedValue) {
+      this.applyMarking(analysis, decodeMarkingText(texts, 'resistor'));
+    }
+
+    // Fall back to decoding the color bands
+    if (!analysis.estimatedValue && colorLabels.length >= 3) {
+      const colorCode = this.decodeDetectedBands(colorLabels);
+      if (colorCode) {
+        analysis.colorCode = colorCode;
+        analysis.estimatedValue = colorCode.display;
+        analysis.valueSource = 'color_bands';
+      }
+    }
+
     return analysis;
   }
 
+  /**
+   * Map a Rekognition label onto a resistor band color, or null
+   */
+  labelBandColor(label) {
+    const words = label.Name.split(/\s+/);
+    for (const word of words) {
+      const color = normalizeBandColor(word);
+      if (color) {
+        return color;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Decode color labels into a resistance value
+   *
+   * Labels are put in left-to-right order when Rekognition returns instance
+   * bounding boxes for them; otherwise they are used in the order returned.
+   * Returns null when no reading of the colors is a valid band sequence.
+   */
+  decodeDetectedBands(colorLabels) {
+    const positioned = colorLabels.map((label, index) => ({
+      color: this.labelBandColor(label),
+      left: label.Instances?.[0]?.BoundingBox?.Left ?? index
+    }));
+    const bands = positioned
+      .sort((a, b) => a.left - b.left)
+      .map(p => p.color)
+      .slice(0, 6);
+
+    try {
+      return decodeColorBands(bands);
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Analyze capacitor-specific features
    */
@@ -204,35 +444,105 @@ export class ComponentAnalyzer {
       }
     }
 
+    // Fall back to ceramic and tantalum marking codes ("104K", "2A104J", "107C")
+    if (!analysis.estimatedValue) {
+      this.applyMarking(analysis, decodeMarkingText(texts, 'capacitor'));
+      const best = analysis.marking?.candidates[0];
+      if (best?.voltageRating && !analysis.voltage) {
+        analysis.voltage = best.voltageRating;
+      }
+      if (best?.tolerance) {
+        analysis.tolerance = best.tolerance;
+      }
+    }
+
+    return analysis;
+  }
+
+  /**
+   * Analyze inductor-specific features
+   */
+  analyzeInductor(textDetections) {
+    const analysis = {
+      estimatedValue: null
+    };
+
+    const texts = this.getTextLines(textDetections);
+
+    const inductancePattern = /(\d+\.?\d*)\s*([µuμnm]?H)\b/i;
+    for (const text of texts) {
+      const match = text.match(inductancePattern);
+      if (match) {
+        analysis.estimatedValue = `${match[1]}${match[2]}`;
+        analysis.valueSource = 'text';
+        break;
+      }
+    }
+
+    if (!analysis.estimatedValue) {
+      this.applyMarking(analysis, decodeMarkingText(texts, 'inductor'));
+    }
+
     return analysis;
   }
 
+  /**
+   * Fill an analysis from the first decoded marking code
+   *
+   * Keeps the full decoding, including every candidate reading, under
+   * `analysis.marking` so callers can resolve ambiguous codes themselves.
+   */
+  applyMarking(analysis, markings) {
+    if (markings.length === 0) {
+      return;
+    }
+
+    const [marking] = markings;
+    analysis.estimatedValue = marking.candidates[0].value;
+    analysis.valueSource = 'marking';
+    analysis.marking = marking;
+  }
+
+  /**
+   * Get the LINE text detections as strings
+   */
+  getTextLines(textDetections) {
+    return textDetections
+      .filter(t => t.Type === 'LINE')
+      .map(t => t.DetectedText);
+  }
+
   /**
    * Analyze IC-specific features
    */
   analyzeIC(textDetections) {
     const analysis = {
       partNumbers: [],
-      manufacturers: []
+      manufacturers: [],
+      parsedPartNumbers: [],
+      partNumber: null
     };
 
-    const texts = textDetections
-      .filter(t => t.Type === 'LINE')
-      .map(t => t.DetectedText);
-    
-    // Common manufacturer prefixes
-    const manufacturerPrefixes = ['74', 'CD', 'LM', 'TL', 'NE', 'MC', 'SN', 'AD', 'MAX'];
-    
+    const texts = this.getTextLines(textDetections);
+
+    // Decode part numbers, including ones split across marking lines
+    analysis.parsedPartNumbers = this.partNumberParser.parseMarking(texts);
+    analysis.partNumber = analysis.parsedPartNumbers[0] || null;
+
+    for (const parsed of analysis.parsedPartNumbers) {
+      analysis.partNumbers.push(parsed.partNumber);
+      if (parsed.manufacturer && !analysis.manufacturers.includes(parsed.manufacturer)) {
+        analysis.manufacturers.push(parsed.manufacturer);
+      }
+    }
+
+    // Keep unrecognised part-number-like lines for manual review
+    const parsedText = analysis.partNumbers.join(' ').replace(/-/g, '');
     for (const text of texts) {
-      // Check if it looks like a part number (alphanumeric, typically 4-12 chars)
-      if (/^[A-Z0-9]{4,12}$/i.test(text.trim())) {
-        analysis.partNumbers.push(text.trim());
-        
-        // Check for manufacturer prefix
-        const prefix = text.substring(0, 2).toUpperCase();
-        if (manufacturerPrefixes.includes(prefix)) {
-          analysis.manufacturers.push(`Likely ${prefix} series`);
-        }
+      const candidate = text.trim().toUpperCase();
+      const looksLikePartNumber = /^[A-Z0-9-]{4,20}$/.test(candidate) && /[A-Z]/.test(candidate) && /\d/.test(candidate);
+      if (looksLikePartNumber && !parsedText.includes(candidate.replace(/-/g, ''))) {
+        analysis.partNumbers.push(candidate);
       }
     }
 
@@ -260,7 +570,17 @@ export class ComponentAnalyzer {
       if (analysis.capacitor.voltage) {
         summary += `\nRated voltage: ${analysis.capacitor.voltage}`;
       }
+    } else if (type === 'inductor' && analysis.inductor) {
+      if (analysis.inductor.estimatedValue) {
+        summary += `\nEstimated value: ${analysis.inductor.estimatedValue}`;
+      }
     } else if (type === 'integrated_circuit' && analysis.ic) {
+      const part = analysis.ic.partNumber;
+      if (part) {
+        const details = [part.manufacturer, part.family && `${part.family} family`, part.package, part.temperatureRange]
+          .filter(Boolean);
+        summary += `\nPart number: ${part.basePart}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+      }
       if (analysis.ic.partNumbers.length > 0) {
         summary += `\nDetected part numbers: ${analysis.ic.partNumbers.join(', ')}`;
       }
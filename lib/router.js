@@ -0,0 +1,495 @@
+import { ComponentDatabase } from './dynamodb.js';
+import { ComponentStorage } from './s3.js';
+import { ComponentCatalog } from './catalog.js';
+import { CognitoAuth } from './cognito.js';
+import { InventoryError, NotFoundError, ValidationError } from './errors.js';
+
+/**
+ * Explicit response from a route handler, for a status or headers other
+ * than the route's default
+ */
+export class ApiResponse {
+  constructor(statusCode, body, headers = {}) {
+    this.statusCode = statusCode;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+function compilePath(path) {
+  const segments = path.split('/').filter(Boolean);
+  return {
+    segments,
+    staticCount: segments.filter(segment => !segment.startsWith(':')).length
+  };
+}
+
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new ValidationError(`Malformed path segment "${segment}"`);
+  }
+}
+
+function matchPath(compiled, pathSegments) {
+  if (compiled.segments.length !== pathSegments.length) {
+    return null;
+  }
+  const params = {};
+  for (let i = 0; i < compiled.segments.length; i++) {
+    const segment = compiled.segments[i];
+    if (segment.startsWith(':')) {
+      params[segment.substring(1)] = decodePathSegment(pathSegments[i]);
+    } else if (segment !== pathSegments[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+function lowerCaseHeaders(headers = {}) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    result[name.toLowerCase()] = value;
+  }
+  return result;
+}
+
+function integer(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new ValidationError(`${name} must be an integer`);
+  }
+  return number;
+}
+
+/**
+ * Read an optimistic-locking version from an `If-Match` header
+ */
+function ifMatchVersion(request) {
+  const header = request.headers['if-match'];
+  if (header === undefined || header === '*') {
+    return undefined;
+  }
+  return integer(header.replace(/^W\//, '').replace(/"/g, ''), 'If-Match');
+}
+
+/**
+ * Stock write options from a request: movement details and If-Match
+ */
+function stockOptions(request) {
+  const options = { expectedVersion: ifMatchVersion(request) };
+  for (const field of ['reason', 'projectRef', 'note']) {
+    if (request.body[field]) {
+      options[field] = request.body[field];
+    }
+  }
+  return options;
+}
+
+/**
+ * Router mapping API Gateway (REST and HTTP API v2) events onto handlers
+ */
+export class ApiRouter {
+  constructor(config = {}) {
+    this.auth = config.auth || new CognitoAuth(config);
+    this.basePath = (config.basePath || '').replace(/\/+$/, '');
+    this.corsOrigin = config.corsOrigin || '*';
+    // Receives unexpected (500) errors, e.g. `console`; nothing is logged by default
+    this.logger = config.logger || null;
+    this.routes = [];
+    this.middleware = [];
+    this.handler = this.handle.bind(this);
+  }
+
+  /**
+   * Register a route
+   *
+   * `path` may contain `:name` parameters. The handler receives the request
+   * (`{ method, path, params, query, headers, body, user, event, context }`)
+   * and returns the response body, or an ApiResponse. Options: `auth`
+   * (default true) and `status` (default 200).
+   */
+  route(method, path, handler, options = {}) {
+    this.routes.push({
+      method: method.toUpperCase(),
+      path,
+      compiled: compilePath(path),
+      handler,
+      auth: options.auth !== false,
+      status: options.status || 200
+    });
+    return this;
+  }
+
+  get(path, handler, options) {
+    return this.route('GET', path, handler, options);
+  }
+
+  post(path, handler, options) {
+    return this.route('POST', path, handler, options);
+  }
+
+  put(path, handler, options) {
+    return this.route('PUT', path, handler, options);
+  }
+
+  patch(path, handler, options) {
+    return this.route('PATCH', path, handler, options);
+  }
+
+  delete(path, handler, options) {
+    return this.route('DELETE', path, handler, options);
+  }
+
+  /**
+   * Add middleware, run in order around every route: `(request, next) => result`
+   */
+  use(middleware) {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Normalize a REST (v1) or HTTP API (v2) event into a request
+   */
+  parseEvent(event, context) {
+    const method = (event.requestContext?.http?.method || event.httpMethod || 'GET').toUpperCase();
+    let path = event.rawPath || event.path || '/';
+    if (this.basePath && path.startsWith(this.basePath)) {
+      path = path.substring(this.basePath.length) || '/';
+    }
+
+    return {
+      method,
+      path,
+      params: {},
+      query: event.queryStringParameters || {},
+      headers: lowerCaseHeaders(event.headers),
+      rawBody: event.body && event.isBase64Encoded
+        ? Buffer.from(event.body, 'base64').toString('utf8')
+        : event.body,
+      body: undefined,
+      user: null,
+      event,
+      context
+    };
+  }
+
+  /**
+   * Parse a JSON request body, rejecting anything but a JSON object
+   */
+  parseBody(request) {
+    if (request.rawBody === undefined || request.rawBody === null || request.rawBody === '') {
+      return {};
+    }
+    const contentType = request.headers['content-type'] || 'application/json';
+    if (!contentType.includes('json')) {
+      throw new InventoryError('Request body must be JSON', { statusCode: 415, code: 'UNSUPPORTED_MEDIA_TYPE' });
+    }
+    let body;
+    try {
+      body = JSON.parse(request.rawBody);
+    } catch (error) {
+      throw new ValidationError('Request body is not valid JSON');
+    }
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ValidationError('Request body must be a JSON object');
+    }
+    return body;
+  }
+
+  /**
+   * Lambda handler: `export const handler = router.handler`
+   */
+  async handle(event, context) {
+    const request = this.parseEvent(event, context);
+
+    if (request.method === 'OPTIONS') {
+      return this.respond(204, null);
+    }
+
+    try {
+      const pathSegments = request.path.split('/').filter(Boolean);
+      const matches = this.routes
+        .map(route => ({ route, params: matchPath(route.compiled, pathSegments) }))
+        .filter(match => match.params !== null);
+
+      if (matches.length === 0) {
+        throw new NotFoundError(`No route for ${request.path}`, { code: 'ROUTE_NOT_FOUND' });
+      }
+
+      const match = matches
+        .filter(m => m.route.method === request.method)
+        .sort((a, b) => b.route.compiled.staticCount - a.route.compiled.staticCount)[0];
+      if (!match) {
+        throw new InventoryError(`Method ${request.method} not allowed on ${request.path}`, {
+          statusCode: 405,
+          code: 'METHOD_NOT_ALLOWED'
+        });
+      }
+
+      request.params = match.params;
+      request.body = this.parseBody(request);
+      if (match.route.auth) {
+        request.user = await this.auth.getUserContext(event);
+      }
+
+      const result = await this.runMiddleware(request, () => match.route.handler(request));
+      if (result instanceof ApiResponse) {
+        return this.respond(result.statusCode, result.body, result.headers);
+      }
+      return this.respond(match.route.status, result === undefined ? null : result);
+    } catch (error) {
+      return this.respondWithError(error);
+    }
+  }
+
+  runMiddleware(request, handler) {
+    const dispatch = index => {
+      if (index === this.middleware.length) {
+        return handler();
+      }
+      return this.middleware[index](request, () => dispatch(index + 1));
+    };
+    return dispatch(0);
+  }
+
+  respond(statusCode, body, headers = {}) {
+    const response = this.auth.createResponse(statusCode, body, {
+      ...this.auth.getCorsHeaders(this.corsOrigin),
+      'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+      ...headers
+    });
+    if (body === null) {
+      response.body = '';
+    }
+    return response;
+  }
+
+  /**
+   * Map an error onto a consistent error response
+   */
+  respondWithError(error) {
+    if (!(error instanceof InventoryError) || error.statusCode >= 500) {
+      this.logger?.error(error);
+    }
+
+    const response = this.auth.createErrorResponse(error);
+    response.headers = {
+      ...response.headers,
+      ...this.auth.getCorsHeaders(this.corsOrigin)
+    };
+    return response;
+  }
+}
+
+/**
+ * Create a router exposing the component inventory as a REST API
+ *
+ * Routes (all authenticated):
+ *   GET    /components                          list (limit, cursor, sortBy, sortOrder, type)
+ *   POST   /components                          create
+ *   GET    /components/search?q=                search
+ *   GET    /components/low-stock?threshold=     low stock
+ *   GET    /components/:componentId             get
+ *   PUT    /components/:componentId             update
+ *   DELETE /components/:componentId             delete, with its files
+ *   PUT    /components/:componentId/stock       set stock { quantity, reason, projectRef, note }
+ *   POST   /components/:componentId/consume     take from stock { quantity, reason, projectRef, note }
+ *   POST   /components/:componentId/receive     add to stock { quantity, reason, projectRef, note }
+ *   GET    /components/:componentId/movements   stock ledger (from, to, order, limit, cursor)
+ *   GET    /components/:componentId/forecast    stockout forecast and reorder suggestion (windowDays)
+ *   GET    /analytics/stockouts                 components projected to run out (horizonDays, windowDays)
+ *   GET    /analytics/top-movers                busiest components (windowDays, by, limit)
+ *   POST   /components/:componentId/upload-url  presigned upload { fileType | contentType }
+ *   POST   /components/:componentId/upload-post presigned POST upload { fileType | contentType, maxBytes }
+ *   POST   /components/:componentId/attachments record a finished upload { key }
+ *   DELETE /components/:componentId/attachments?key= remove an attachment and its file
+ *   POST   /components/:componentId/multipart   start a multipart upload { fileType | contentType, size, partSize }
+ *   POST   /components/:componentId/multipart/complete finish it { key, uploadId, parts: [{ partNumber, etag }] }
+ *   DELETE /components/:componentId/multipart?key=&uploadId= abort it
+ *   PUT    /components/:componentId/attachments/primary set the primary image { key }
+ *   POST   /identify                            identify an image { image (base64), contentType, quantity }
+ *   POST   /identify/accept                     apply a proposal { proposal, overrides }
+ *
+ * Updates honour an `If-Match: <version>` header for optimistic locking.
+ * Pass `database`, `storage`, `catalog` or `auth` instances to reuse them,
+ * and a `logger` (such as `console`) to see unexpected errors;
+ * add custom routes and middleware on the returned router.
+ */
+export function createInventoryApi(config = {}) {
+  const database = config.database || new ComponentDatabase(config);
+  const storage = config.storage || new ComponentStorage(config);
+  const catalog = config.catalog || new ComponentCatalog({ ...config, database, storage });
+  const router = new ApiRouter(config);
+
+  router.get('/components', request => database.queryComponents(request.user, {
+    limit: integer(request.query.limit, 'limit'),
+    cursor: request.query.cursor,
+    sortBy: request.query.sortBy,
+    sortOrder: request.query.sortOrder,
+    type: request.query.type
+  }));
+
+  router.post('/components', request => database.createComponent(request.user, request.body), { status: 201 });
+
+  router.get('/components/search', request => {
+    if (!request.query.q) {
+      throw new ValidationError('Query parameter "q" is required');
+    }
+    return database.searchComponents(request.user, request.query.q, { type: request.query.type });
+  });
+
+  router.get('/components/low-stock', request =>
+    database.getLowStockComponents(request.user, integer(request.query.threshold, 'threshold') ?? 10));
+
+  router.get('/components/:componentId', request =>
+    database.getComponent(request.user, request.params.componentId));
+
+  router.put('/components/:componentId', request =>
+    database.updateComponent(request.user, request.params.componentId, request.body, {
+      expectedVersion: ifMatchVersion(request)
+    }));
+
+  router.delete('/components/:componentId', request =>
+    catalog.deleteComponent(request.user, request.params.componentId));
+
+  router.put('/components/:componentId/stock', request => {
+    const quantity = integer(request.body.quantity, 'quantity');
+    if (quantity === undefined || quantity < 0) {
+      throw new ValidationError('quantity must be a non-negative integer');
+    }
+    return database.updateStock(request.user, request.params.componentId, quantity, request.body.reason, stockOptions(request));
+  });
+
+  router.post('/components/:componentId/consume', request =>
+    database.consumeStock(request.user, request.params.componentId, integer(request.body.quantity, 'quantity'), stockOptions(request)));
+
+  router.post('/components/:componentId/receive', request =>
+    database.receiveStock(request.user, request.params.componentId, integer(request.body.quantity, 'quantity'), stockOptions(request)));
+
+  router.get('/components/:componentId/movements', request =>
+    database.getStockMovements(request.user, request.params.componentId, {
+      from: request.query.from,
+      to: request.query.to,
+      order: request.query.order,
+      limit: integer(request.query.limit, 'limit'),
+      cursor: request.query.cursor
+    }));
+
+  router.get('/components/:componentId/forecast', request =>
+    database.getStockForecast(request.user, request.params.componentId, {
+      windowDays: integer(request.query.windowDays, 'windowDays')
+    }));
+
+  router.get('/analytics/stockouts', request =>
+    database.getStockoutForecasts(request.user, {
+      windowDays: integer(request.query.windowDays, 'windowDays'),
+      horizonDays: integer(request.query.horizonDays, 'horizonDays') ?? 30,
+      type: request.query.type
+    }));
+
+  router.get('/analytics/top-movers', request =>
+    database.getTopMovers(request.user, {
+      windowDays: integer(request.query.windowDays, 'windowDays'),
+      by: request.query.by,
+      limit: integer(request.query.limit, 'limit')
+    }));
+
+  router.post('/components/:componentId/upload-url', async request => {
+    await database.getComponent(request.user, request.params.componentId);
+    return storage.getUploadPresignedUrl(
+      request.user,
+      request.params.componentId,
+      request.body.contentType || request.body.fileType
+    );
+  });
+
+  router.post('/components/:componentId/upload-post', async request => {
+    await database.getComponent(request.user, request.params.componentId);
+    return storage.createPresignedPost(
+      request.user,
+      request.params.componentId,
+      request.body.contentType || request.body.fileType,
+      { maxBytes: integer(request.body.maxBytes, 'maxBytes') }
+    );
+  });
+
+  router.post('/components/:componentId/attachments', request => {
+    if (!request.body.key) {
+      throw new ValidationError('key is required');
+    }
+    return catalog.completeUpload(request.user, request.params.componentId, request.body.key);
+  }, { status: 201 });
+
+  router.post('/components/:componentId/multipart', async request => {
+    await database.getComponent(request.user, request.params.componentId);
+    return storage.createMultipartUpload(
+      request.user,
+      request.params.componentId,
+      request.body.contentType || request.body.fileType,
+      {
+        size: integer(request.body.size, 'size'),
+        partSize: integer(request.body.partSize, 'partSize')
+      }
+    );
+  }, { status: 201 });
+
+  router.post('/components/:componentId/multipart/complete', request => {
+    const { key, uploadId, parts } = request.body;
+    if (!key || !uploadId || !Array.isArray(parts)) {
+      throw new ValidationError('key, uploadId and parts are required');
+    }
+    return catalog.completeMultipartUpload(request.user, request.params.componentId, { key, uploadId, parts });
+  }, { status: 201 });
+
+  router.delete('/components/:componentId/multipart', request => {
+    if (!request.query.key || !request.query.uploadId) {
+      throw new ValidationError('Query parameters "key" and "uploadId" are required');
+    }
+    return storage.abortMultipartUpload(
+      request.user,
+      request.params.componentId,
+      request.query.key,
+      request.query.uploadId
+    );
+  });
+
+  router.delete('/components/:componentId/attachments', request => {
+    if (!request.query.key) {
+      throw new ValidationError('Query parameter "key" is required');
+    }
+    return catalog.removeAttachment(request.user, request.params.componentId, request.query.key);
+  });
+
+  router.put('/components/:componentId/attachments/primary', request => {
+    if (!request.body.key) {
+      throw new ValidationError('key is required');
+    }
+    return database.setPrimaryImage(request.user, request.params.componentId, request.body.key);
+  });
+
+  router.post('/identify', request => {
+    if (!request.body.image) {
+      throw new ValidationError('image (base64) is required');
+    }
+    return catalog.identify(request.user, Buffer.from(request.body.image, 'base64'), {
+      contentType: request.body.contentType,
+      quantity: integer(request.body.quantity, 'quantity')
+    });
+  });
+
+  router.post('/identify/accept', request => {
+    if (!request.body.proposal) {
+      throw new ValidationError('proposal is required');
+    }
+    return catalog.accept(request.user, request.body.proposal, request.body.overrides);
+  }, { status: 201 });
+
+  return router;
+}
@@ -1,75 +1,348 @@
-import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  CopyObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { createPresignedPost } from '@aws-sdk/s3-presigned-post';
+import { Readable } from 'stream';
+import { resolveAccess, storagePathFor, Actions, AccessDeniedError } from './access.js';
+import { fromAwsError, InventoryError, NotFoundError, UpstreamError, ValidationError } from './errors.js';
+import {
+  UploadCategories,
+  FileTypes,
+  SNIFF_LENGTH,
+  checkUpload,
+  checkFileSize,
+  checkFileType,
+  fileNameFor,
+  fileTypeForContentType
+} from './filetypes.js';
 
+// Most keys DeleteObjects accepts in one request
+const DELETE_BATCH_SIZE = 1000;
+
+// S3 multipart limits: every part but the last is at least 5 MB, and an
+// upload has at most 10,000 parts
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+function isReadableStream(body) {
+  return !Buffer.isBuffer(body) && typeof body?.[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * Stop a source stream that will not be read to the end
+ */
+function destroyStream(stream, iterator) {
+  if (typeof stream.destroy === 'function') {
+    stream.destroy();
+  } else {
+    iterator?.return?.().catch(() => {});
+  }
+}
+
+/**
+ * Read the first `length` bytes of a stream
+ *
+ * Returns `{ head, body, cancel }`, where `body` yields the whole content
+ * again, starting with the bytes already read, and calls `onChunk(chunk)`
+ * for each chunk (which may throw to stop the stream). Destroying `body`
+ * does not reach the source before `body` has been read from, so call
+ * `cancel()` when giving up on it: it destroys both.
+ */
+async function peekStream(stream, length, onChunk) {
+  const iterator = stream[Symbol.asyncIterator]();
+  const chunks = [];
+  let read = 0;
+  let ended = false;
+
+  while (read < length) {
+    const next = await iterator.next();
+    if (next.done) {
+      ended = true;
+      break;
+    }
+    const chunk = Buffer.from(next.value);
+    chunks.push(chunk);
+    read += chunk.length;
+  }
+
+  async function* replay() {
+    try {
+      for (const chunk of chunks) {
+        onChunk(chunk);
+        yield chunk;
+      }
+      for (let next = ended ? { done: true } : await iterator.next(); !next.done; next = await iterator.next()) {
+        const chunk = Buffer.from(next.value);
+        onChunk(chunk);
+        yield chunk;
+      }
+    } finally {
+      await iterator.return?.();
+    }
+  }
+
+  const body = Readable.from(replay());
+  const cancel = () => {
+    body.destroy();
+    destroyStream(stream, iterator);
+  };
+  return { head: Buffer.concat(chunks).subarray(0, length), body, cancel };
+}
+
+/**
+ * Component files stored in S3
+ *
+ * Upload methods take an `owner` like ComponentDatabase: a user ID, or an
+ * access context for an organization inventory. Files are stored under
+ * `{folder}/{userId}/...` or `{folder}/orgs/{orgId}/...` respectively.
+ */
 export class ComponentStorage {
   constructor(config = {}) {
     this.client = new S3Client({ 
       region: config.region || process.env.AWS_REGION || 'us-east-1' 
     });
     this.bucketName = config.bucketName || process.env.COMPONENTS_BUCKET || 'circuitstream-components';
+    // Per-category overrides are merged over the defaults, e.g. { image: { maxBytes } }
+    this.uploadCategories = { ...UploadCategories };
+    for (const [name, overrides] of Object.entries(config.uploadCategories || {})) {
+      this.uploadCategories[name] = { ...UploadCategories[name], ...overrides };
+    }
+    // Streams are sent in parts of this size, this many at a time
+    this.partSize = Math.max(config.partSize || MIN_PART_SIZE, MIN_PART_SIZE);
+    this.queueSize = config.queueSize || 4;
   }
 
   /**
-   * Upload component image
+   * Send a command, translating SDK exceptions into typed errors
    */
-  async uploadImage(userId, componentId, imageBuffer, contentType = 'image/jpeg') {
-    const key = `images/${userId}/${componentId}/${Date.now()}.jpg`;
-    
-    await this.client.send(new PutObjectCommand({
+  async send(command) {
+    try {
+      return await this.client.send(command);
+    } catch (error) {
+      throw fromAwsError(error, 'S3');
+    }
+  }
+
+  /**
+   * Look up an upload category by name
+   *
+   * `pdf` is accepted for `datasheet`, as older callers of
+   * `getUploadPresignedUrl` pass it.
+   */
+  getUploadCategory(name) {
+    const category = this.uploadCategories[name === 'pdf' ? 'datasheet' : name];
+    if (!category) {
+      throw new ValidationError(`Unknown upload category "${name}". Use one of: ${Object.keys(this.uploadCategories).join(', ')}`);
+    }
+    return category;
+  }
+
+  /**
+   * Check a file against an upload category (see `checkUpload`)
+   *
+   * Returns the detected `{ type, contentType, extension }`.
+   */
+  checkUpload(categoryName, buffer, contentType) {
+    return checkUpload(this.getUploadCategory(categoryName), buffer, contentType, categoryName);
+  }
+
+  /**
+   * Upload a file for a component after checking its content
+   *
+   * `body` is a Buffer or a readable stream (see `uploadStream`). The
+   * content type and key extension come from the file's bytes; a
+   * declared `options.contentType` must agree with them. With
+   * `options.filename` the key keeps that name (with a matching extension),
+   * otherwise it is named by upload time.
+   */
+  async uploadFile(owner, componentId, categoryName, body, options = {}) {
+    if (isReadableStream(body)) {
+      return this.uploadStream(owner, componentId, categoryName, body, options);
+    }
+
+    const access = resolveAccess(owner, Actions.CREATE);
+    const detected = this.checkUpload(categoryName, body, options.contentType);
+    const key = this.componentFileKey(access, componentId, categoryName, detected, options.filename);
+
+    await this.send(new PutObjectCommand({
       Bucket: this.bucketName,
       Key: key,
-      Body: imageBuffer,
-      ContentType: contentType,
-      Metadata: {
-        userId,
-        componentId,
-        uploadDate: new Date().toISOString()
-      }
+      Body: body,
+      ContentType: detected.contentType,
+      Metadata: this.componentMetadata(access, componentId)
     }));
 
     return {
       key,
-      url: `https://${this.bucketName}.s3.amazonaws.com/${key}`
+      url: `https://${this.bucketName}.s3.amazonaws.com/${key}`,
+      contentType: detected.contentType,
+      size: body.length
     };
   }
 
   /**
-   * Upload datasheet PDF
+   * Upload a file for a component from a readable stream
+   *
+   * The stream is never held in memory whole: its leading bytes are
+   * checked as in `uploadFile`, then it is sent in parts of `partSize`
+   * bytes, `queueSize` at a time (both from the config unless given in
+   * `options`); a file smaller than one part goes in a single PUT. The
+   * upload fails with FILE_TOO_LARGE as soon as the stream passes the
+   * category's limit, or up front when `options.size` is over it.
+   * `options.onProgress({ loaded, total, part })` is called as parts
+   * finish (`total` only when `options.size` is given), and aborting
+   * `options.signal` stops the upload. On any failure the source stream
+   * is destroyed and the multipart upload aborted, so no object or stored
+   * parts are left behind. Returns
+   * `{ key, url, contentType, size }`.
    */
-  async uploadDatasheet(userId, componentId, pdfBuffer, filename) {
-    const key = `datasheets/${userId}/${componentId}/${filename}`;
-    
-    await this.client.send(new PutObjectCommand({
-      Bucket: this.bucketName,
-      Key: key,
-      Body: pdfBuffer,
-      ContentType: 'application/pdf',
-      Metadata: {
-        userId,
-        componentId,
-        uploadDate: new Date().toISOString()
+  async uploadStream(owner, componentId, categoryName, stream, options = {}) {
+    const access = resolveAccess(owner, Actions.CREATE);
+    const category = this.getUploadCategory(categoryName);
+    if (options.size !== undefined) {
+      try {
+        checkFileSize(category, options.size, categoryName);
+      } catch (error) {
+        destroyStream(stream);
+        throw error;
       }
-    }));
+    }
+
+    let size = 0;
+    const { head, body, cancel } = await peekStream(stream, SNIFF_LENGTH, chunk => {
+      size += chunk.length;
+      if (size > category.maxBytes) {
+        checkFileSize(category, size, categoryName);
+      }
+    });
+    let detected;
+    try {
+      checkFileSize(category, head.length, categoryName);
+      detected = checkFileType(category, head, options.contentType, categoryName);
+    } catch (error) {
+      cancel();
+      throw error;
+    }
+    const key = this.componentFileKey(access, componentId, categoryName, detected, options.filename);
+
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucketName,
+        Key: key,
+        Body: body,
+        ContentType: detected.contentType,
+        Metadata: this.componentMetadata(access, componentId)
+      },
+      partSize: Math.max(options.partSize || this.partSize, MIN_PART_SIZE),
+      queueSize: options.queueSize || this.queueSize
+    });
+    if (options.onProgress) {
+      upload.on('httpUploadProgress', progress => options.onProgress({
+        loaded: progress.loaded,
+        total: options.size ?? progress.total,
+        part: progress.part
+      }));
+    }
+
+    const { signal } = options;
+    const abort = () => upload.abort();
+    signal?.addEventListener('abort', abort);
+    try {
+      if (signal?.aborted) {
+        throw Object.assign(new Error('Upload aborted.'), { name: 'AbortError' });
+      }
+      await upload.done();
+    } catch (error) {
+      cancel();
+      if (error.name === 'AbortError') {
+        throw new InventoryError(`Upload of ${key} was aborted`, { code: 'UPLOAD_ABORTED', cause: error });
+      }
+      throw fromAwsError(error, 'S3');
+    } finally {
+      signal?.removeEventListener('abort', abort);
+    }
 
     return {
       key,
-      url: `https://${this.bucketName}.s3.amazonaws.com/${key}`
+      url: `https://${this.bucketName}.s3.amazonaws.com/${key}`,
+      contentType: detected.contentType,
+      size
+    };
+  }
+
+  /**
+   * The key for a component file of a detected type
+   */
+  componentFileKey(access, componentId, categoryName, detected, filename) {
+    const category = this.getUploadCategory(categoryName);
+    const name = filename ? fileNameFor(filename, detected) : `${Date.now()}.${detected.extension}`;
+    return `${category.folder}/${storagePathFor(access)}/${componentId}/${name}`;
+  }
+
+  /**
+   * Object metadata for a component file
+   */
+  componentMetadata(access, componentId) {
+    return {
+      ...this.ownerMetadata(access),
+      componentId,
+      uploadDate: new Date().toISOString()
     };
   }
 
+  /**
+   * Upload component image (JPEG, PNG, WebP or HEIC) from a Buffer or stream
+   */
+  async uploadImage(owner, componentId, image, contentType, options = {}) {
+    return this.uploadFile(owner, componentId, 'image', image, { ...options, contentType });
+  }
+
+  /**
+   * Upload datasheet PDF from a Buffer or stream
+   */
+  async uploadDatasheet(owner, componentId, pdf, filename, options = {}) {
+    return this.uploadFile(owner, componentId, 'datasheet', pdf, { ...options, filename });
+  }
+
+  /**
+   * Upload a CAD file from a Buffer or stream: STEP model, Gerber or
+   * Excellon file, DXF, KiCad board or schematic, or a zip archive of them
+   */
+  async uploadCadFile(owner, componentId, file, filename, options = {}) {
+    return this.uploadFile(owner, componentId, 'cad', file, { ...options, filename });
+  }
+
   /**
    * Upload identification image (for Rekognition analysis)
+   *
+   * Only JPEG and PNG are accepted, since Rekognition reads nothing else.
    */
-  async uploadIdentificationImage(userId, imageBuffer, contentType = 'image/jpeg') {
-    const key = `identification/${userId}/${Date.now()}.jpg`;
+  async uploadIdentificationImage(owner, imageBuffer, contentType) {
+    const access = resolveAccess(owner, Actions.CREATE);
+    const detected = this.checkUpload('identification', imageBuffer, contentType);
+    const key = `${this.getUploadCategory('identification').folder}/${storagePathFor(access)}/${Date.now()}.${detected.extension}`;
     
-    await this.client.send(new PutObjectCommand({
+    await this.send(new PutObjectCommand({
       Bucket: this.bucketName,
       Key: key,
       Body: imageBuffer,
-      ContentType: contentType,
+      ContentType: detected.contentType,
       Metadata: {
-        userId,
+        ...this.ownerMetadata(access),
         purpose: 'identification',
         uploadDate: new Date().toISOString()
       }
@@ -82,10 +355,52 @@ export class ComponentStorage {
     };
   }
 
+  /**
+   * Object metadata identifying the uploader and inventory
+   */
+  ownerMetadata(access) {
+    const metadata = { userId: access.actorId };
+    if (access.orgId) {
+      metadata.orgId = access.orgId;
+    }
+    return metadata;
+  }
+
+  /**
+   * Get the identification/ prefix for an owner's inventory
+   */
+  getIdentificationPrefix(owner) {
+    return `identification/${storagePathFor(resolveAccess(owner, Actions.READ))}/`;
+  }
+
+  /**
+   * Check that a key is one of the owner's files
+   *
+   * The key must be under one of the upload folders for the owner's
+   * inventory (`{folder}/{userId}/` or `{folder}/orgs/{orgId}/`). Throws
+   * AccessDeniedError otherwise, or a ValidationError with code
+   * OWNER_REQUIRED for a call without an owner; returns the access context.
+   */
+  checkFileAccess(owner, key, action) {
+    if (typeof key !== 'string') {
+      // Before 2.0.0 these methods took the key alone
+      throw new ValidationError('Pass the owner and the key: (owner, key)', { code: 'OWNER_REQUIRED' });
+    }
+    const access = resolveAccess(owner, action);
+    const path = storagePathFor(access);
+    const owned = !key.split('/').includes('..')
+      && Object.values(this.uploadCategories).some(category => key.startsWith(`${category.folder}/${path}/`));
+    if (!owned) {
+      throw new AccessDeniedError('File does not belong to this inventory');
+    }
+    return access;
+  }
+
   /**
    * Get presigned URL for secure file access
    */
-  async getPresignedUrl(key, expiresIn = 3600) {
+  async getPresignedUrl(owner, key, expiresIn = 3600) {
+    this.checkFileAccess(owner, key, Actions.READ);
     const command = new GetObjectCommand({
       Bucket: this.bucketName,
       Key: key
@@ -95,10 +410,34 @@ export class ComponentStorage {
   }
 
   /**
-   * Delete file from S3
+   * Whether one of the owner's files exists in S3
+   */
+  async fileExists(owner, key) {
+    this.checkFileAccess(owner, key, Actions.READ);
+    try {
+      await this.send(new HeadObjectCommand({ Bucket: this.bucketName, Key: key }));
+      return true;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete one of the owner's files from S3
+   */
+  async deleteFile(owner, key) {
+    this.checkFileAccess(owner, key, Actions.UPDATE);
+    return this.deleteObject(key);
+  }
+
+  /**
+   * Delete an object whose key the caller has already checked
    */
-  async deleteFile(key) {
-    await this.client.send(new DeleteObjectCommand({
+  async deleteObject(key) {
+    await this.send(new DeleteObjectCommand({
       Bucket: this.bucketName,
       Key: key
     }));
@@ -106,22 +445,409 @@ export class ComponentStorage {
     return { success: true };
   }
 
+  /**
+   * Delete many of the owner's files, in batches of up to 1000 keys
+   *
+   * Every key must belong to the owner's inventory. Returns `{ deleted }`,
+   * the number of keys removed. Throws an UpstreamError listing the keys S3
+   * could not delete (in `details.failed`) after trying every batch.
+   */
+  async deleteFiles(owner, keys) {
+    for (const key of keys) {
+      this.checkFileAccess(owner, key, Actions.UPDATE);
+    }
+
+    const failed = [];
+    let deleted = 0;
+
+    for (let start = 0; start < keys.length; start += DELETE_BATCH_SIZE) {
+      const batch = keys.slice(start, start + DELETE_BATCH_SIZE);
+      const result = await this.send(new DeleteObjectsCommand({
+        Bucket: this.bucketName,
+        Delete: { Objects: batch.map(key => ({ Key: key })), Quiet: true }
+      }));
+      const errors = result.Errors || [];
+      failed.push(...errors.map(error => ({ key: error.Key, code: error.Code, message: error.Message })));
+      deleted += batch.length - errors.length;
+    }
+
+    if (failed.length > 0) {
+      throw new UpstreamError(`S3: could not delete ${failed.length} of ${keys.length} files`, { details: { failed } });
+    }
+    return { deleted };
+  }
+
+  /**
+   * Iterate over the objects under a prefix, fetching pages as needed
+   *
+   * Yields `{ key, size, lastModified }`.
+   */
+  async *listFiles(prefix) {
+    let token;
+    do {
+      const page = await this.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        ContinuationToken: token
+      }));
+      for (const object of page.Contents || []) {
+        yield { key: object.Key, size: object.Size, lastModified: object.LastModified };
+      }
+      token = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (token);
+  }
+
+  /**
+   * Prefixes holding an inventory's component files, by upload category
+   *
+   * With `componentId`, the prefixes for that component only. Keys under
+   * an inventory prefix continue `{componentId}/{filename}`.
+   * Identification images are not stored per component, so they are left
+   * out.
+   */
+  getComponentPrefixes(owner, componentId) {
+    const path = storagePathFor(resolveAccess(owner, Actions.READ));
+    return Object.entries(this.uploadCategories)
+      .filter(([name]) => name !== 'identification')
+      .map(([kind, category]) => ({
+        kind,
+        prefix: `${category.folder}/${path}/${componentId ? `${componentId}/` : ''}`
+      }));
+  }
+
+  /**
+   * Move a file to a new key (copy, then delete the original)
+   *
+   * `metadata` is merged into the object's existing metadata; the result
+   * then also carries the object's `contentType` and `size`.
+   */
+  async moveFile(sourceKey, destinationKey, metadata) {
+    const params = {
+      Bucket: this.bucketName,
+      Key: destinationKey,
+      CopySource: `${this.bucketName}/${encodeURIComponent(sourceKey).replace(/%2F/g, '/')}`
+    };
+    let head = null;
+    if (metadata) {
+      // Replacing metadata on copy also replaces the content type, so carry it over
+      head = await this.send(new HeadObjectCommand({
+        Bucket: this.bucketName,
+        Key: sourceKey
+      }));
+      params.Metadata = { ...head.Metadata, ...metadata };
+      params.ContentType = head.ContentType;
+      params.MetadataDirective = 'REPLACE';
+    }
+
+    await this.send(new CopyObjectCommand(params));
+    await this.deleteObject(sourceKey);
+
+    return {
+      key: destinationKey,
+      url: `https://${this.bucketName}.s3.amazonaws.com/${destinationKey}`,
+      contentType: head?.ContentType,
+      size: head?.ContentLength
+    };
+  }
+
+  /**
+   * Move an identification image to a component's images/ prefix
+   */
+  async moveIdentificationImage(owner, identificationKey, componentId) {
+    const access = resolveAccess(owner, Actions.UPDATE);
+    const path = storagePathFor(access);
+    const prefix = `identification/${path}/`;
+    if (!identificationKey.startsWith(prefix)) {
+      throw new AccessDeniedError('Identification image does not belong to this inventory');
+    }
+
+    const filename = identificationKey.substring(prefix.length);
+    return this.moveFile(identificationKey, `images/${path}/${componentId}/${filename}`, {
+      ...this.ownerMetadata(access),
+      componentId,
+      uploadDate: new Date().toISOString()
+    });
+  }
+
   /**
    * Generate upload presigned URL for client-side uploads
+   *
+   * `fileType` is an upload category (`image`, `datasheet` or `pdf`,
+   * `cad`), which uploads the category's first type, or a content type
+   * such as `image/png`, which must be allowed for the category it belongs
+   * to. The client must send that `Content-Type`. The bytes are not seen
+   * here, so they are not checked.
    */
-  async getUploadPresignedUrl(userId, componentId, fileType = 'image', expiresIn = 300) {
-    const extension = fileType === 'pdf' ? 'pdf' : 'jpg';
-    const folder = fileType === 'pdf' ? 'datasheets' : 'images';
-    const key = `${folder}/${userId}/${componentId}/${Date.now()}.${extension}`;
+  async getUploadPresignedUrl(owner, componentId, fileType = 'image', expiresIn = 300) {
+    const access = resolveAccess(owner, Actions.CREATE);
+    const { category, type } = this.resolveUploadType(fileType);
+    const { contentType, extension } = FileTypes[type];
+    const key = `${category.folder}/${storagePathFor(access)}/${componentId}/${Date.now()}.${extension}`;
     
     const command = new PutObjectCommand({
       Bucket: this.bucketName,
       Key: key,
-      ContentType: fileType === 'pdf' ? 'application/pdf' : 'image/jpeg'
+      ContentType: contentType
     });
 
     const url = await getSignedUrl(this.client, command, { expiresIn });
     
-    return { url, key };
+    return { url, key, contentType, maxBytes: category.maxBytes };
+  }
+
+  /**
+   * Generate a presigned POST for browser uploads
+   *
+   * Unlike a presigned PUT, the POST policy makes S3 itself refuse uploads
+   * that are empty or over the category's size limit (or the smaller
+   * `options.maxBytes`), that have a different `Content-Type`, that lack the
+   * owner and component metadata, or that target another key. `fileType` is
+   * as for `getUploadPresignedUrl`. Returns `{ url, fields, key,
+   * contentType, maxBytes, expiresAt }`; the client posts `fields` followed
+   * by the file as multipart form data to `url`, then calls `verifyUpload`
+   * (or `ComponentCatalog.completeUpload`) with the key.
+   */
+  async createPresignedPost(owner, componentId, fileType = 'image', options = {}) {
+    const { expiresIn = 300 } = options;
+    const access = resolveAccess(owner, Actions.CREATE);
+    const { category, type } = this.resolveUploadType(fileType);
+    const { contentType, extension } = FileTypes[type];
+    const maxBytes = Math.min(options.maxBytes ?? category.maxBytes, category.maxBytes);
+    const prefix = `${category.folder}/${storagePathFor(access)}/${componentId}/`;
+    const key = `${prefix}${Date.now()}.${extension}`;
+
+    const fields = { 'Content-Type': contentType };
+    for (const [name, value] of Object.entries({ ...this.ownerMetadata(access), componentId })) {
+      fields[`x-amz-meta-${name.toLowerCase()}`] = value;
+    }
+
+    let post;
+    try {
+      // Every field is also signed as an exact-match condition
+      post = await createPresignedPost(this.client, {
+        Bucket: this.bucketName,
+        Key: key,
+        Conditions: [
+          ['content-length-range', 1, maxBytes],
+          ['starts-with', '$key', prefix]
+        ],
+        Fields: fields,
+        Expires: expiresIn
+      });
+    } catch (error) {
+      throw fromAwsError(error, 'S3');
+    }
+
+    return {
+      url: post.url,
+      fields: post.fields,
+      key,
+      contentType,
+      maxBytes,
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Check that a client upload landed and is what it should be
+   *
+   * The key must be under one of the component's upload prefixes. The
+   * object is read with HEAD for its size, type and metadata (when it has
+   * any, it must name the component), and its
+   * leading bytes are checked against the category as for direct uploads.
+   * An object that fails the checks is deleted and the ValidationError
+   * rethrown; a missing object raises NotFoundError. Returns `{ key, kind,
+   * contentType, size, etag, uploadedBy }`, where `kind` is the category.
+   */
+  async verifyUpload(owner, componentId, key) {
+    const access = resolveAccess(owner, Actions.UPDATE);
+    const [kind, category] = this.componentUploadCategory(access, componentId, key);
+
+    let head;
+    try {
+      head = await this.send(new HeadObjectCommand({ Bucket: this.bucketName, Key: key }));
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw new NotFoundError(`Upload ${key} not found`, { cause: error });
+      }
+      throw error;
+    }
+
+    let detected;
+    try {
+      // Presigned PUT uploads carry no metadata; presigned POST uploads must
+      const metadataComponent = head.Metadata?.componentid;
+      if (metadataComponent !== undefined && metadataComponent !== componentId) {
+        throw new ValidationError('Upload metadata does not name this component', { code: 'UPLOAD_METADATA_MISMATCH' });
+      }
+      checkFileSize(category, head.ContentLength, kind);
+      const leading = await this.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        Range: `bytes=0-${SNIFF_LENGTH - 1}`
+      }));
+      const buffer = Buffer.from(await leading.Body.transformToByteArray());
+      detected = checkFileType(category, buffer, head.ContentType, kind);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        await this.deleteObject(key);
+      }
+      throw error;
+    }
+
+    return {
+      key,
+      kind,
+      contentType: detected.contentType,
+      size: head.ContentLength,
+      etag: head.ETag,
+      uploadedBy: head.Metadata?.userid || access.actorId
+    };
+  }
+
+  /**
+   * The `[kind, category]` a component upload's key is stored under
+   *
+   * Throws AccessDeniedError when the key is not under one of the
+   * component's upload prefixes.
+   */
+  componentUploadCategory(access, componentId, key) {
+    const path = storagePathFor(access);
+    const match = Object.entries(this.uploadCategories).find(([name, category]) =>
+      name !== 'identification' && key.startsWith(`${category.folder}/${path}/${componentId}/`));
+    if (!match) {
+      throw new AccessDeniedError('Upload does not belong to this component');
+    }
+    return match;
+  }
+
+  /**
+   * Start a multipart upload that the client sends in parts
+   *
+   * For files too large for one request. `fileType` is as for
+   * `getUploadPresignedUrl` and `options.size` (required) is the file's
+   * size in bytes, which must be within the category's limit. The file is
+   * split into parts of `partSize` bytes (from the config or `options`,
+   * raised if needed to stay within S3's 10,000 parts); the client PUTs
+   * each part to its URL, in any order or in parallel, and keeps the
+   * `ETag` header of each response. Returns `{ key, uploadId, contentType,
+   * partSize, maxBytes, parts: [{ partNumber, url, size }], expiresAt }`.
+   * Finish with `completeMultipartUpload` or give up with
+   * `abortMultipartUpload`.
+   */
+  async createMultipartUpload(owner, componentId, fileType = 'image', options = {}) {
+    const { size, expiresIn = 3600 } = options;
+    const access = resolveAccess(owner, Actions.CREATE);
+    const { category, type } = this.resolveUploadType(fileType);
+    const { contentType, extension } = FileTypes[type];
+    if (!Number.isInteger(size)) {
+      throw new ValidationError('size must be the file size in bytes');
+    }
+    checkFileSize(category, size, fileType);
+
+    const partSize = Math.max(options.partSize || this.partSize, MIN_PART_SIZE, Math.ceil(size / MAX_PARTS));
+    const key = `${category.folder}/${storagePathFor(access)}/${componentId}/${Date.now()}.${extension}`;
+
+    const { UploadId: uploadId } = await this.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      ContentType: contentType,
+      Metadata: this.componentMetadata(access, componentId)
+    }));
+
+    const parts = [];
+    for (let partNumber = 1, offset = 0; offset < size; partNumber++, offset += partSize) {
+      const command = new UploadPartCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber
+      });
+      parts.push({
+        partNumber,
+        url: await getSignedUrl(this.client, command, { expiresIn }),
+        size: Math.min(partSize, size - offset)
+      });
+    }
+
+    return {
+      key,
+      uploadId,
+      contentType,
+      partSize,
+      maxBytes: category.maxBytes,
+      parts,
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Assemble a client multipart upload and check the result
+   *
+   * `parts` is `[{ partNumber, etag }]` from the client's part uploads.
+   * The assembled object is checked with `verifyUpload` (and deleted if it
+   * fails). If S3 cannot assemble it (for example a part is missing), the
+   * upload is left open so the client can retry or abort it. Returns the
+   * `verifyUpload` result.
+   */
+  async completeMultipartUpload(owner, componentId, key, uploadId, parts) {
+    const access = resolveAccess(owner, Actions.UPDATE);
+    this.componentUploadCategory(access, componentId, key);
+    if (!uploadId || !Array.isArray(parts) || parts.length === 0) {
+      throw new ValidationError('uploadId and parts are required');
+    }
+
+    await this.send(new CompleteMultipartUploadCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: [...parts]
+          .sort((a, b) => a.partNumber - b.partNumber)
+          .map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+      }
+    }));
+
+    return this.verifyUpload(owner, componentId, key);
+  }
+
+  /**
+   * Abort a client multipart upload, discarding the parts sent so far
+   */
+  async abortMultipartUpload(owner, componentId, key, uploadId) {
+    this.componentUploadCategory(resolveAccess(owner, Actions.UPDATE), componentId, key);
+    try {
+      await this.send(new AbortMultipartUploadCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        UploadId: uploadId
+      }));
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) {
+        throw error;
+      }
+    }
+    return { success: true };
+  }
+
+  /**
+   * Resolve a category name or content type to `{ category, type }`
+   */
+  resolveUploadType(fileType) {
+    if (!String(fileType).includes('/')) {
+      const category = this.getUploadCategory(fileType);
+      return { category, type: category.types[0] };
+    }
+
+    const type = fileTypeForContentType(fileType);
+    const category = Object.entries(this.uploadCategories)
+      .find(([name, candidate]) => name !== 'identification' && candidate.types.includes(type))?.[1];
+    if (!type || !category) {
+      throw new ValidationError(`${fileType} files cannot be uploaded`, {
+        statusCode: 415,
+        code: 'UNSUPPORTED_FILE_TYPE'
+      });
+    }
+    return { category, type };
   }
 }
@@ -0,0 +1,214 @@
+import { ComponentTypes } from './constants.js';
+import { ValidationError } from './errors.js';
+
+// Attributes maintained by ComponentDatabase itself, never written by callers
+export const ProtectedComponentFields = [
+  'userId',
+  'componentId',
+  'orgId',
+  'createdAt',
+  'createdBy',
+  'updatedAt',
+  'updatedBy',
+  'version',
+  'stockHistory',
+  'normalized',
+  'attachments'
+];
+
+const ENGINEERING_VALUE = { type: ['string', 'number'] };
+
+/**
+ * Built-in component fields
+ *
+ * A field definition has a `type` (string, integer, number, boolean, array
+ * or object, or a list of those) and optionally `required`, `enum`, `min`,
+ * `max`, `maxLength`, `items` (the type of array entries) and
+ * `validate(value, record)`, which returns an error message or nothing.
+ */
+export const DefaultComponentFields = {
+  name: { type: 'string', required: true, maxLength: 200 },
+  componentType: { type: 'string', required: true, enum: Object.values(ComponentTypes) },
+  quantity: { type: 'integer', min: 0 },
+  minStockLevel: { type: 'integer', min: 0 },
+  leadTimeDays: { type: 'integer', min: 0 },
+  safetyStock: { type: 'integer', min: 0 },
+  partNumber: { type: 'string', maxLength: 100 },
+  manufacturer: { type: 'string', maxLength: 100 },
+  description: { type: 'string', maxLength: 2000 },
+  package: { type: 'string', maxLength: 50 },
+  value: ENGINEERING_VALUE,
+  tolerance: ENGINEERING_VALUE,
+  voltageRating: ENGINEERING_VALUE,
+  currentRating: ENGINEERING_VALUE,
+  powerRating: ENGINEERING_VALUE,
+  location: { type: 'string', maxLength: 200 },
+  supplier: { type: 'string', maxLength: 100 },
+  supplierPartNumber: { type: 'string', maxLength: 100 },
+  unitPrice: { type: 'number', min: 0 },
+  datasheetUrl: { type: 'string', maxLength: 2000 },
+  notes: { type: 'string', maxLength: 2000 },
+  tags: { type: 'array', items: 'string' },
+  alertThresholds: {
+    type: 'object',
+    validate: value => {
+      for (const [name, threshold] of Object.entries(value)) {
+        if (!['critical', 'low', 'projectedDays'].includes(name)) {
+          return `has unknown threshold "${name}"`;
+        }
+        if (!Number.isInteger(threshold) || threshold < 0) {
+          return `${name} must be a non-negative integer`;
+        }
+      }
+      if (value.critical !== undefined && value.low !== undefined && value.critical > value.low) {
+        return 'critical must not be above low';
+      }
+      return null;
+    }
+  },
+  identificationConfidence: { type: 'number', min: 0, max: 100 }
+};
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function describeTypes(types) {
+  return types.map(type => (type === 'integer' || type === 'array' || type === 'object') ? `an ${type}` : `a ${type}`)
+    .join(' or ');
+}
+
+/**
+ * Validates component records before they are written
+ *
+ * Unknown attributes are rejected unless `allowUnknownFields` is set; add
+ * team-specific attributes with `fields` or `addField`.
+ */
+export class ComponentSchema {
+  constructor(config = {}) {
+    this.fields = { ...DefaultComponentFields, ...config.fields };
+    this.protectedFields = [...ProtectedComponentFields, ...(config.protectedFields || [])];
+    this.allowUnknownFields = !!config.allowUnknownFields;
+  }
+
+  /**
+   * Add or replace a field definition
+   */
+  addField(name, definition) {
+    if (this.protectedFields.includes(name)) {
+      throw new ValidationError(`"${name}" is a protected field`, { code: 'INVALID_CONFIG' });
+    }
+    if (!definition || !definition.type) {
+      throw new ValidationError(`Field "${name}" needs a type`, { code: 'INVALID_CONFIG' });
+    }
+    this.fields[name] = definition;
+    return this;
+  }
+
+  /**
+   * Validate a record
+   *
+   * With `partial` (for updates) required fields may be omitted but not
+   * cleared. Returns `{ valid, errors }` where each error is
+   * `{ field, message }`.
+   */
+  validate(record, options = {}) {
+    const errors = [];
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { valid: false, errors: [{ field: null, message: 'must be an object' }] };
+    }
+
+    for (const [field, value] of Object.entries(record)) {
+      if (this.protectedFields.includes(field)) {
+        errors.push({ field, message: 'is managed by the database and cannot be written' });
+        continue;
+      }
+
+      const definition = this.fields[field];
+      if (!definition) {
+        if (!this.allowUnknownFields) {
+          errors.push({ field, message: 'is not a known component field' });
+        }
+        continue;
+      }
+
+      if (value === undefined || value === null || value === '') {
+        if (definition.required) {
+          errors.push({ field, message: 'is required' });
+        }
+        continue;
+      }
+
+      const message = this.checkValue(value, definition, record);
+      if (message) {
+        errors.push({ field, message });
+      }
+    }
+
+    if (!options.partial) {
+      for (const [field, definition] of Object.entries(this.fields)) {
+        if (definition.required && !(field in record)) {
+          errors.push({ field, message: 'is required' });
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Check one value against its definition, returning an error message
+   */
+  checkValue(value, definition, record) {
+    const types = [].concat(definition.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return `must be ${describeTypes(types)}`;
+    }
+    if (definition.enum && !definition.enum.includes(value)) {
+      return `must be one of: ${definition.enum.join(', ')}`;
+    }
+    if (typeof value === 'number') {
+      if (definition.min !== undefined && value < definition.min) {
+        return `must be at least ${definition.min}`;
+      }
+      if (definition.max !== undefined && value > definition.max) {
+        return `must be at most ${definition.max}`;
+      }
+    }
+    if (typeof value === 'string' && definition.maxLength && value.length > definition.maxLength) {
+      return `must be at most ${definition.maxLength} characters`;
+    }
+    if (definition.items && Array.isArray(value)
+      && !value.every(item => [].concat(definition.items).some(type => matchesType(item, type)))) {
+      return `must contain only ${[].concat(definition.items).join(' or ')} values`;
+    }
+    if (definition.validate) {
+      return definition.validate(value, record) || null;
+    }
+    return null;
+  }
+
+  /**
+   * Validate a record, throwing a ValidationError listing every field error
+   */
+  assertValid(record, options = {}) {
+    const { valid, errors } = this.validate(record, options);
+    if (!valid) {
+      const summary = errors.map(e => (e.field ? `${e.field} ${e.message}` : e.message)).join('; ');
+      throw new ValidationError(`Invalid component: ${summary}`, { details: { errors } });
+    }
+    return record;
+  }
+}
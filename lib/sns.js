@@ -1,4 +1,146 @@
 import { SNSClient, PublishCommand, SubscribeCommand, UnsubscribeCommand } from '@aws-sdk/client-sns';
+import { fromAwsError, ValidationError } from './errors.js';
+import { StockThresholds } from './constants.js';
+import { DynamoDBAlertStateStore } from './alertstate.js';
+import { AlertTemplates } from './templates.js';
+
+// Alert levels, least to most severe
+export const AlertLevels = {
+  OK: 'ok',
+  PROJECTED: 'projected_stockout',
+  LOW: 'low_stock',
+  CRITICAL: 'critical_stock',
+  OUT_OF_STOCK: 'out_of_stock'
+};
+
+const LEVEL_SEVERITY = Object.values(AlertLevels);
+
+const DEFAULT_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+// Protocols where SNS can deliver the message body without its envelope
+const RAW_DELIVERY_PROTOCOLS = ['http', 'https', 'sqs', 'firehose'];
+
+const SMS_MAX_LENGTH = 160;
+
+// Slack rejects section text longer than this
+const BLOCK_TEXT_MAX_LENGTH = 3000;
+
+// SNS rejects messages over 256 KB, counting every protocol's body; the
+// rest is left for the subject and message attributes
+const MESSAGE_BUDGET_BYTES = 240 * 1024;
+
+// Steps for fitting an oversized alert in the budget, tried in order: drop
+// the HTML from the structured bodies, slim the webhook's copy of the event
+// (webhooks display `text`), cap the digest's component lists, then shorten
+// the text
+const COMPACTION_STEPS = [
+  {},
+  { slimWebhook: true },
+  { slimWebhook: true, componentLimit: 100 },
+  { slimWebhook: true, componentLimit: 25 },
+  { slimWebhook: true, componentLimit: 0 },
+  { slimWebhook: true, componentLimit: 0, textLength: 16 * 1024 },
+  { slimWebhook: true, componentLimit: 0, textLength: 4 * 1024 }
+];
+
+/**
+ * A digest listing at most `limit` components, most severe first
+ *
+ * Locations that lost components carry `omitted`; the digest carries
+ * `truncated` and the number `included`.
+ */
+function limitDigest(digest, limit) {
+  let remaining = limit;
+  const groups = digest.groups.map(group => ({
+    ...group,
+    locations: group.locations.map(location => {
+      const components = location.components.slice(0, remaining);
+      remaining -= components.length;
+      const omitted = location.components.length - components.length;
+      return { ...location, components, ...(omitted > 0 && { omitted }) };
+    })
+  }));
+  return { ...digest, groups, truncated: true, included: limit - remaining };
+}
+
+/**
+ * A smaller copy of a structured alert event for one compaction step
+ */
+function compactEvent(event, message, step) {
+  const { html, ...compact } = event;
+  compact.message = message;
+  if (html !== undefined) {
+    compact.htmlOmitted = true;
+  }
+  if (step.componentLimit !== undefined && event.digest) {
+    compact.digest = limitDigest(event.digest, step.componentLimit);
+  }
+  return compact;
+}
+
+/**
+ * The webhook's copy of a compacted event, without the text the webhook
+ * body already carries or the digest's component lists
+ */
+function slimWebhookEvent(event) {
+  const { message, ...slim } = event;
+  if (event.digest) {
+    slim.digest = limitDigest(event.digest, 0);
+  }
+  return slim;
+}
+
+function byteLength(messages) {
+  return Buffer.byteLength(JSON.stringify(messages));
+}
+
+/**
+ * Subscription filter policy for a user's inventory and chosen alert types
+ */
+function buildFilterPolicy(options) {
+  const policy = {};
+  if (options.userId) {
+    policy.userId = [options.userId];
+  }
+  if (options.alertTypes) {
+    if (!Array.isArray(options.alertTypes) || options.alertTypes.length === 0) {
+      throw new ValidationError('alertTypes must be a non-empty array');
+    }
+    policy.alertType = options.alertTypes;
+  }
+  return Object.keys(policy).length > 0 ? policy : null;
+}
+
+/**
+ * The component attributes included in structured alerts
+ */
+function summarizeComponent(component) {
+  return {
+    componentId: component.componentId,
+    name: component.name || null,
+    partNumber: component.partNumber || null,
+    componentType: component.componentType || null,
+    quantity: component.quantity || 0,
+    location: component.location || null
+  };
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+/**
+ * Split an alert recipient into email and preferred locale
+ *
+ * Recipients are an email address or `{ email, locale }`, such as the
+ * context from `CognitoAuth.getUserContext`.
+ */
+function parseRecipient(recipient) {
+  if (recipient && typeof recipient === 'object') {
+    return { email: recipient.email, locale: recipient.locale };
+  }
+  return { email: recipient, locale: undefined };
+}
 
 export class StockAlerts {
   constructor(config = {}) {
@@ -6,70 +148,141 @@ export class StockAlerts {
       region: config.region || process.env.AWS_REGION || 'us-east-1' 
     });
     this.topicArn = config.topicArn || process.env.SNS_TOPIC_ARN;
+    this.typeThresholds = config.typeThresholds || {};
+    this.cooldownMs = config.cooldownMs ?? DEFAULT_COOLDOWN_MS;
+    this.recoveryNotices = config.recoveryNotices ?? true;
+    // Kept in DynamoDB so deduplication holds across Lambda containers
+    this.stateStore = config.stateStore
+      || new DynamoDBAlertStateStore({ region: config.region, tableName: config.alertStateTable });
+    this.templates = config.templates instanceof AlertTemplates
+      ? config.templates
+      : new AlertTemplates({
+        templates: config.templates,
+        branding: config.branding,
+        defaultLocale: config.locale
+      });
   }
 
   /**
    * Send low stock alert notification
+   *
+   * Like every alert, the recipient is an email address or `{ email,
+   * locale }`; the locale picks the templates used.
    */
   async sendLowStockAlert(component, userEmail) {
-    const message = this.formatLowStockMessage(component);
-    const subject = `⚠️ Low Stock Alert: ${component.name || component.partNumber}`;
-
-    return await this.publishMessage(message, subject, {
-      componentId: component.componentId,
-      alertType: 'low_stock',
-      userEmail
-    });
+    return await this.publishAlert('low_stock', { component }, userEmail);
   }
 
   /**
    * Send out of stock alert
    */
   async sendOutOfStockAlert(component, userEmail) {
-    const message = this.formatOutOfStockMessage(component);
-    const subject = `🔴 Out of Stock: ${component.name || component.partNumber}`;
-
-    return await this.publishMessage(message, subject, {
-      componentId: component.componentId,
-      alertType: 'out_of_stock',
-      userEmail
-    });
+    return await this.publishAlert('out_of_stock', { component }, userEmail);
   }
 
   /**
    * Send critical stock alert
    */
   async sendCriticalStockAlert(component, userEmail, threshold) {
-    const message = this.formatCriticalStockMessage(component, threshold);
-    const subject = `🚨 Critical Stock Level: ${component.name || component.partNumber}`;
+    return await this.publishAlert('critical_stock', { component, threshold }, userEmail, { threshold });
+  }
 
-    return await this.publishMessage(message, subject, {
-      componentId: component.componentId,
-      alertType: 'critical_stock',
-      userEmail
+  /**
+   * Send projected stockout alert
+   *
+   * `forecast` comes from `ComponentDatabase.getStockForecast` or
+   * `getStockoutForecasts`.
+   */
+  async sendProjectedStockoutAlert(component, forecast, userEmail) {
+    return await this.publishAlert('projected_stockout', { component, forecast }, userEmail, { forecast });
+  }
+
+  /**
+   * Send one summary of every component needing attention
+   *
+   * `digest` comes from `StockDigest.buildDigest`.
+   */
+  async sendLowStockDigest(digest, userEmail) {
+    return await this.publishAlert('low_stock_digest', { digest }, userEmail, {
+      digest: {
+        ...digest,
+        groups: digest.groups.map(group => ({
+          ...group,
+          locations: group.locations.map(({ location, components }) => ({
+            location,
+            components: components.map(summarizeComponent)
+          }))
+        }))
+      }
+    }, { userId: digest.userId, componentCount: digest.total });
+  }
+
+  /**
+   * Render an alert from its templates and publish it
+   *
+   * `details` are added to the structured event; `attributes` to the
+   * message attributes alongside the component's IDs and the alert type.
+   */
+  async publishAlert(alertType, data, recipient, details = {}, attributes = {}) {
+    const { email, locale } = parseRecipient(recipient);
+    const content = this.templates.render(alertType, data, locale);
+
+    return await this.publishMessage(content.text, content.subject, {
+      userId: data.component?.userId,
+      componentId: data.component?.componentId,
+      alertType,
+      ...attributes,
+      userEmail: email
+    }, {
+      component: data.component,
+      details,
+      html: content.html,
+      locale: content.locale
     });
   }
 
+  /**
+   * Send a command, translating SDK exceptions into typed errors
+   */
+  async send(command) {
+    try {
+      return await this.client.send(command);
+    } catch (error) {
+      throw fromAwsError(error, 'SNS');
+    }
+  }
+
   /**
    * Publish message to SNS topic
+   *
+   * Each subscription protocol gets its own body (see
+   * `formatChannelMessages`): email the plain-text `message`, SMS a short
+   * line, HTTPS webhooks Slack/Teams-compatible JSON and SQS a structured
+   * event. `context` may carry the `component` and alert-specific
+   * `details` for the structured formats. Attributes with no value are
+   * left out.
    */
-  async publishMessage(message, subject, attributes = {}) {
+  async publishMessage(message, subject, attributes = {}, context = {}) {
     const params = {
       TopicArn: this.topicArn,
-      Message: message,
+      Message: JSON.stringify(this.formatChannelMessages(message, subject, attributes, context)),
+      MessageStructure: 'json',
       Subject: subject,
       MessageAttributes: {}
     };
 
     // Add message attributes
     for (const [key, value] of Object.entries(attributes)) {
+      if (value === undefined || value === null) {
+        continue;
+      }
       params.MessageAttributes[key] = {
         DataType: 'String',
         StringValue: String(value)
       };
     }
 
-    const result = await this.client.send(new PublishCommand(params));
+    const result = await this.send(new PublishCommand(params));
     return {
       messageId: result.MessageId,
       success: true
@@ -77,28 +290,88 @@ export class StockAlerts {
   }
 
   /**
-   * Subscribe email to alerts
+   * Subscribe an endpoint to alerts
+   *
+   * With `options.userId` the subscription only receives alerts for that
+   * inventory's components, and with `options.alertTypes` (e.g.
+   * `['out_of_stock', 'critical_stock']`) only those kinds of alert.
+   * `rawMessageDelivery` delivers the protocol's body without the SNS
+   * envelope (HTTPS and SQS only).
    */
-  async subscribeEmail(email) {
+  async subscribe(protocol, endpoint, options = {}) {
     const params = {
-      Protocol: 'email',
+      Protocol: protocol,
       TopicArn: this.topicArn,
-      Endpoint: email
+      Endpoint: endpoint,
+      ReturnSubscriptionArn: true,
+      Attributes: {}
     };
 
-    const result = await this.client.send(new SubscribeCommand(params));
+    const filterPolicy = buildFilterPolicy(options);
+    if (filterPolicy) {
+      params.Attributes.FilterPolicy = JSON.stringify(filterPolicy);
+      params.Attributes.FilterPolicyScope = 'MessageAttributes';
+    }
+    if (options.rawMessageDelivery && RAW_DELIVERY_PROTOCOLS.includes(protocol)) {
+      params.Attributes.RawMessageDelivery = 'true';
+    }
+
+    const result = await this.send(new SubscribeCommand(params));
     return {
       subscriptionArn: result.SubscriptionArn,
       success: true,
+      filterPolicy
+    };
+  }
+
+  /**
+   * Subscribe email to alerts
+   */
+  async subscribeEmail(email, options = {}) {
+    const result = await this.subscribe('email', email, options);
+    return {
+      ...result,
       message: 'Confirmation email sent. Please check your inbox.'
     };
   }
 
+  /**
+   * Subscribe a phone number (E.164, e.g. +15555550100) to SMS alerts
+   */
+  async subscribeSms(phoneNumber, options = {}) {
+    return this.subscribe('sms', phoneNumber, options);
+  }
+
+  /**
+   * Subscribe an HTTPS webhook, such as a Slack or Teams incoming webhook
+   *
+   * Messages are delivered raw by default, so the webhook receives the
+   * JSON payload itself rather than the SNS envelope. Pass
+   * `rawMessageDelivery: false` for endpoints that confirm the
+   * subscription themselves; raw endpoints must be confirmed from the
+   * SNS console or API.
+   */
+  async subscribeWebhook(url, options = {}) {
+    if (!/^https:\/\//i.test(url)) {
+      throw new ValidationError('Webhook URL must use https');
+    }
+    return this.subscribe('https', url, { rawMessageDelivery: true, ...options });
+  }
+
+  /**
+   * Subscribe an SQS queue (by ARN) to structured alert events
+   *
+   * The queue policy must allow the topic to send messages.
+   */
+  async subscribeQueue(queueArn, options = {}) {
+    return this.subscribe('sqs', queueArn, { rawMessageDelivery: true, ...options });
+  }
+
   /**
    * Unsubscribe from alerts
    */
   async unsubscribe(subscriptionArn) {
-    await this.client.send(new UnsubscribeCommand({
+    await this.send(new UnsubscribeCommand({
       SubscriptionArn: subscriptionArn
     }));
 
@@ -106,79 +379,308 @@ export class StockAlerts {
   }
 
   /**
-   * Check if component stock is below threshold and send alert
+   * Send a notice that stock is back above its alert thresholds
    */
-  async checkAndAlert(component, userEmail, thresholds = { critical: 5, low: 10 }) {
+  async sendRecoveryAlert(component, userEmail, previousLevel) {
+    return await this.publishAlert('recovered', { component, previousLevel }, userEmail, { previousLevel });
+  }
+
+  /**
+   * Resolve the thresholds that apply to a component
+   *
+   * Each of `critical`, `low` and `projectedDays` comes from the first of:
+   * `overrides`, the component's `alertThresholds` (its `minStockLevel`
+   * also sets `low`), `typeThresholds[componentType]` from the config, and
+   * the `StockThresholds` defaults.
+   */
+  resolveThresholds(component, overrides = {}) {
+    const own = { ...component.alertThresholds };
+    if (own.low === undefined && component.minStockLevel !== undefined) {
+      own.low = component.minStockLevel;
+    }
+    const byType = this.typeThresholds[component.componentType] || {};
+    const pick = name => [overrides[name], own[name], byType[name]].find(value => value !== undefined);
+
+    return {
+      critical: pick('critical') ?? StockThresholds.CRITICAL,
+      low: pick('low') ?? StockThresholds.LOW,
+      projectedDays: pick('projectedDays') ?? 14
+    };
+  }
+
+  /**
+   * Work out which alert level a component is at
+   */
+  getAlertLevel(component, thresholds, forecast = null) {
     const quantity = component.quantity || 0;
-    
+    const days = forecast?.daysUntilStockout;
+
     if (quantity === 0) {
-      return await this.sendOutOfStockAlert(component, userEmail);
+      return AlertLevels.OUT_OF_STOCK;
     } else if (quantity <= thresholds.critical) {
-      return await this.sendCriticalStockAlert(component, userEmail, thresholds.critical);
+      return AlertLevels.CRITICAL;
     } else if (quantity <= thresholds.low) {
-      return await this.sendLowStockAlert(component, userEmail);
+      return AlertLevels.LOW;
+    } else if (days !== null && days !== undefined && days <= thresholds.projectedDays) {
+      return AlertLevels.PROJECTED;
+    }
+    return AlertLevels.OK;
+  }
+
+  /**
+   * Check if component stock is below threshold and send alert
+   *
+   * Thresholds are resolved per component (see `resolveThresholds`);
+   * `thresholds` overrides them for this call. With a `forecast`, a
+   * component that is above the quantity thresholds but projected to run
+   * out within `projectedDays` gets a projected stockout alert.
+   *
+   * The last alert level per component is kept in `stateStore`, so an
+   * alert goes out when the level gets worse, or again at the same level
+   * once `cooldownMs` (default 24 hours) has passed. Improving to a less
+   * severe level is recorded quietly, and returning to normal sends a
+   * recovery notice (unless `recoveryNotices` is off). Returns `{ alerted,
+   * level, ... }` with the publish result, or `suppressed: true` when an
+   * alert was due but deduplicated.
+   */
+  async checkAndAlert(component, userEmail, thresholds = {}, forecast = null) {
+    const resolved = this.resolveThresholds(component, thresholds);
+    const level = this.getAlertLevel(component, resolved, forecast);
+    const key = `${component.userId || ''}#${component.componentId}`;
+    const previous = await this.stateStore.get(key);
+    const previousLevel = previous?.level || AlertLevels.OK;
+    const now = Date.now();
+
+    // Without a forecast a projected stockout can be neither confirmed nor cleared
+    if (!forecast && previousLevel === AlertLevels.PROJECTED && level === AlertLevels.OK) {
+      return { alerted: false, level: previousLevel };
     }
 
-    return { alerted: false };
+    const worse = LEVEL_SEVERITY.indexOf(level) > LEVEL_SEVERITY.indexOf(previousLevel);
+    const cooledDown = level === previousLevel && level !== AlertLevels.OK
+      && now - new Date(previous?.alertedAt || 0).getTime() >= this.cooldownMs;
+    const recovered = level === AlertLevels.OK && previousLevel !== AlertLevels.OK;
+    const notify = worse || cooledDown || (recovered && this.recoveryNotices);
+
+    if (level === previousLevel && !notify) {
+      return { alerted: false, level, suppressed: level !== AlertLevels.OK };
+    }
+
+    const next = {
+      level,
+      componentId: component.componentId,
+      quantity: component.quantity || 0,
+      updatedAt: new Date(now).toISOString(),
+      alertedAt: notify ? new Date(now).toISOString() : previous?.alertedAt || null
+    };
+    if (!await this.stateStore.compareAndSet(key, previous, next)) {
+      // Another invocation recorded this change (and sent any alert) first
+      return { alerted: false, level, suppressed: true };
+    }
+    if (!notify) {
+      return { alerted: false, level };
+    }
+
+    let result;
+    try {
+      result = await this.sendAlertForLevel(level, component, userEmail, resolved, forecast, previousLevel);
+    } catch (error) {
+      // Put the previous state back so the alert is retried next time
+      await this.stateStore.compareAndSet(key, { ...next, revision: (previous?.revision || 0) + 1 }, previous || { level: AlertLevels.OK });
+      throw error;
+    }
+    return { alerted: true, level, previousLevel, ...result };
   }
 
   /**
-   * Format low stock message
+   * Send the alert for a level reached by `checkAndAlert`
    */
-  formatLowStockMessage(component) {
-    return `
-Low Stock Alert - CircuitStream
+  async sendAlertForLevel(level, component, userEmail, thresholds, forecast, previousLevel) {
+    switch (level) {
+      case AlertLevels.OUT_OF_STOCK:
+        return this.sendOutOfStockAlert(component, userEmail);
+      case AlertLevels.CRITICAL:
+        return this.sendCriticalStockAlert(component, userEmail, thresholds.critical);
+      case AlertLevels.LOW:
+        return this.sendLowStockAlert(component, userEmail);
+      case AlertLevels.PROJECTED:
+        return this.sendProjectedStockoutAlert(component, forecast, userEmail);
+      default:
+        return this.sendRecoveryAlert(component, userEmail, previousLevel);
+    }
+  }
 
-Component: ${component.name || 'Unnamed Component'}
-Part Number: ${component.partNumber || 'N/A'}
-Type: ${component.componentType || 'Unknown'}
-Current Stock: ${component.quantity || 0} units
-Location: ${component.location || 'Not specified'}
+  /**
+   * Build the per-protocol bodies for a `MessageStructure: 'json'` publish
+   *
+   * Everything must fit in one SNS message (256 KB). When it does not, as
+   * for a digest of hundreds of components, the structured bodies are cut
+   * down step by step (see COMPACTION_STEPS) until it does: the HTML is
+   * left out (`htmlOmitted`), the webhook's `event` loses its text and
+   * lists, then the digest's component lists are capped
+   * (`digest.truncated`, with `omitted` counts per location), and as a
+   * last resort the text is shortened. Throws a ValidationError
+   * (MESSAGE_TOO_LARGE) if it still does not fit.
+   */
+  formatChannelMessages(message, subject, attributes = {}, context = {}) {
+    const event = this.formatAlertEvent(message, subject, attributes, context);
+    let messages = this.buildChannelMessages(message, subject, event, context.component);
 
-Your component stock is running low. Consider reordering soon.
+    for (const step of COMPACTION_STEPS) {
+      if (byteLength(messages) <= MESSAGE_BUDGET_BYTES) {
+        return messages;
+      }
+      const text = step.textLength ? truncate(message, step.textLength) : message;
+      const compact = compactEvent(event, text, step);
+      messages = this.buildChannelMessages(text, subject, compact, context.component,
+        step.slimWebhook ? slimWebhookEvent(compact) : compact);
+    }
 
----
-CircuitStream Component Inventory Manager
-    `.trim();
+    if (byteLength(messages) > MESSAGE_BUDGET_BYTES) {
+      throw new ValidationError(`Alert "${subject}" is too large to publish`, { code: 'MESSAGE_TOO_LARGE' });
+    }
+    return messages;
   }
 
   /**
-   * Format out of stock message
+   * The per-protocol bodies for one version of an alert
+   */
+  buildChannelMessages(message, subject, event, component, webhookEvent = event) {
+    const webhook = JSON.stringify(this.formatWebhookPayload(message, subject, webhookEvent));
+
+    return {
+      default: message,
+      email: message,
+      sms: this.formatSmsMessage(subject, component),
+      http: webhook,
+      https: webhook,
+      sqs: JSON.stringify(event),
+      lambda: JSON.stringify(event)
+    };
+  }
+
+  /**
+   * Structured alert event for queues and functions
+   *
+   * Includes the rendered HTML body, when there is one, so a consumer can
+   * send the alert as a multipart email (SNS email subscriptions only
+   * deliver plain text).
+   */
+  formatAlertEvent(message, subject, attributes, context) {
+    const { component, details = {} } = context;
+    const event = {
+      type: 'circuitstream.stock_alert',
+      alertType: attributes.alertType,
+      userId: attributes.userId ?? null,
+      componentId: attributes.componentId ?? null,
+      locale: context.locale || null,
+      subject,
+      message,
+      timestamp: new Date().toISOString()
+    };
+
+    if (context.html) {
+      event.html = context.html;
+    }
+    if (component) {
+      event.component = summarizeComponent(component);
+    }
+    return { ...event, ...details };
+  }
+
+  /**
+   * Short SMS text, without the emoji that would halve the character limit
+   */
+  formatSmsMessage(subject, component) {
+    const title = subject.replace(/^[^\w]+/u, '');
+    const stock = component
+      ? ` - ${component.quantity || 0} left${component.location ? ` (${component.location})` : ''}`
+      : '';
+    return truncate(`${this.templates.branding.name}: ${title}${stock}`, SMS_MAX_LENGTH);
+  }
+
+  /**
+   * Webhook body that Slack and Teams incoming webhooks can display
+   *
+   * Both read `text`; Slack renders `blocks` when present. The structured
+   * alert is included as `event` for other consumers.
    */
-  formatOutOfStockMessage(component) {
-    return `
-Out of Stock Alert - CircuitStream
+  formatWebhookPayload(message, subject, event) {
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: truncate(subject, 150), emoji: true } }
+    ];
+
+    if (event.component) {
+      const { partNumber, componentType, quantity, location } = event.component;
+      blocks.push({
+        type: 'section',
+        fields: [
+          { type: 'mrkdwn', text: `*Part Number*\n${partNumber || 'N/A'}` },
+          { type: 'mrkdwn', text: `*Type*\n${componentType || 'Unknown'}` },
+          { type: 'mrkdwn', text: `*Current Stock*\n${quantity} units` },
+          { type: 'mrkdwn', text: `*Location*\n${location || 'Not specified'}` }
+        ]
+      });
+    } else {
+      blocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: `\`\`\`${truncate(message, BLOCK_TEXT_MAX_LENGTH - 6)}\`\`\`` }
+      });
+    }
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: this.templates.branding.footer }]
+    });
+
+    return { text: message, blocks, event };
+  }
 
-Component: ${component.name || 'Unnamed Component'}
-Part Number: ${component.partNumber || 'N/A'}
-Type: ${component.componentType || 'Unknown'}
-Current Stock: 0 units
-Location: ${component.location || 'Not specified'}
+  /**
+   * Render an alert's templates as `{ locale, subject, text, html }`
+   */
+  renderAlert(alertType, data, locale) {
+    return this.templates.render(alertType, data, locale);
+  }
 
-This component is now out of stock. Immediate reorder recommended.
+  /**
+   * Format low stock message
+   */
+  formatLowStockMessage(component, locale) {
+    return this.renderAlert('low_stock', { component }, locale).text;
+  }
 
----
-CircuitStream Component Inventory Manager
-    `.trim();
+  /**
+   * Format out of stock message
+   */
+  formatOutOfStockMessage(component, locale) {
+    return this.renderAlert('out_of_stock', { component }, locale).text;
   }
 
   /**
    * Format critical stock message
    */
-  formatCriticalStockMessage(component, threshold) {
-    return `
-Critical Stock Alert - CircuitStream
+  formatCriticalStockMessage(component, threshold, locale) {
+    return this.renderAlert('critical_stock', { component, threshold }, locale).text;
+  }
 
-Component: ${component.name || 'Unnamed Component'}
-Part Number: ${component.partNumber || 'N/A'}
-Type: ${component.componentType || 'Unknown'}
-Current Stock: ${component.quantity || 0} units (Critical threshold: ${threshold})
-Location: ${component.location || 'Not specified'}
+  /**
+   * Format projected stockout message
+   */
+  formatProjectedStockoutMessage(component, forecast, locale) {
+    return this.renderAlert('projected_stockout', { component, forecast }, locale).text;
+  }
 
-CRITICAL: Stock level has reached critical threshold. Immediate action required.
+  /**
+   * Format stock recovered message
+   */
+  formatRecoveryMessage(component, previousLevel, locale) {
+    return this.renderAlert('recovered', { component, previousLevel }, locale).text;
+  }
 
----
-CircuitStream Component Inventory Manager
-    `.trim();
+  /**
+   * Format low stock digest message
+   */
+  formatDigestMessage(digest, locale) {
+    return this.renderAlert('low_stock_digest', { digest }, locale).text;
   }
 }
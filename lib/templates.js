@@ -0,0 +1,366 @@
+import { ValidationError } from './errors.js';
+
+// Placeholders look like {{component.name || component.partNumber || "Unnamed"}}
+const PLACEHOLDER = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+export const DefaultBranding = {
+  name: 'CircuitStream',
+  footer: 'CircuitStream Component Inventory Manager',
+  color: '#1f6feb',
+  logoUrl: null
+};
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+export function formatDays(days) {
+  const rounded = Math.max(Math.round(days), 0);
+  return rounded === 1 ? '1 day' : `${rounded} days`;
+}
+
+export function formatRate(rate) {
+  return Number((rate || 0).toFixed(rate < 10 ? 1 : 0)).toString();
+}
+
+function resolvePath(data, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+}
+
+/**
+ * Evaluate one placeholder: a path, a quoted string or a number, with `||`
+ * falling through to the next operand like it does in JavaScript
+ */
+function evaluate(expression, data) {
+  let value;
+  for (const operand of expression.split('||').map(part => part.trim())) {
+    const quoted = operand.match(/^(["'])(.*)\1$/);
+    if (quoted) {
+      value = quoted[2];
+    } else if (/^-?\d+(\.\d+)?$/.test(operand)) {
+      value = Number(operand);
+    } else {
+      value = resolvePath(data, operand);
+    }
+    if (value) {
+      return value;
+    }
+  }
+  return value;
+}
+
+/**
+ * Fill the `{{ }}` placeholders in a template string from `data`
+ *
+ * Missing values render as an empty string. With `escape`, values are
+ * HTML-escaped (the template text itself is not).
+ */
+export function interpolate(template, data, options = {}) {
+  return template.replace(PLACEHOLDER, (match, expression) => {
+    const value = evaluate(expression, data);
+    const text = value === undefined || value === null ? '' : String(value);
+    return options.escape ? escapeHtml(text) : text;
+  });
+}
+
+const TEMPLATE_HELPERS = { escapeHtml, formatDays, formatRate, interpolate };
+
+const COMPONENT_TEXT = `Component: {{component.name || "Unnamed Component"}}
+Part Number: {{component.partNumber || "N/A"}}
+Type: {{component.componentType || "Unknown"}}`;
+
+const SIGNATURE = `---
+{{brand.footer}}`;
+
+function levelName(level) {
+  return (level || '').replace(/_/g, ' ');
+}
+
+function componentRows(component, stock = `${component.quantity || 0} units`) {
+  return [
+    ['Component', component.name || 'Unnamed Component'],
+    ['Part Number', component.partNumber || 'N/A'],
+    ['Type', component.componentType || 'Unknown'],
+    ['Current Stock', stock],
+    ['Location', component.location || 'Not specified']
+  ];
+}
+
+function reorderLine(forecast) {
+  return forecast.reorderQuantity
+    ? `Suggested reorder: ${forecast.reorderQuantity} units (reorder point: ${forecast.reorderPoint})`
+    : `Reorder point: ${forecast.reorderPoint ?? 'N/A'}`;
+}
+
+/**
+ * Simple branded HTML email: a title, a table of `rows` and a closing note
+ */
+export function renderHtmlEmail(brand, title, rows, note, body = '') {
+  const logo = brand.logoUrl
+    ? `<img src="${escapeHtml(brand.logoUrl)}" alt="${escapeHtml(brand.name)}" style="max-height:32px">`
+    : `<strong style="color:${escapeHtml(brand.color)}">${escapeHtml(brand.name)}</strong>`;
+  const table = rows.length === 0 ? '' : `
+<table cellpadding="4" style="border-collapse:collapse">
+${rows.map(([label, value]) => `<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>`;
+
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family:sans-serif">
+<p>${logo}</p>
+<h2 style="color:${escapeHtml(brand.color)}">${escapeHtml(title)}</h2>${table}${body}
+<p>${escapeHtml(note)}</p>
+<hr>
+<p style="color:#666;font-size:12px">${escapeHtml(brand.footer)}</p>
+</body>
+</html>`;
+}
+
+function digestSummary(digest) {
+  return digest.total > 0
+    ? `${digest.total} component${digest.total === 1 ? '' : 's'} at or below alert thresholds`
+    : 'Nothing to report: all components are above their alert thresholds.';
+}
+
+const DIGEST_HEADINGS = {
+  out_of_stock: 'OUT OF STOCK',
+  critical_stock: 'CRITICAL',
+  low_stock: 'LOW STOCK'
+};
+
+/**
+ * Built-in English templates, keyed by alert type
+ *
+ * Each part (`subject`, `text`, `html`) is a template string or a function
+ * `(data, helpers)` returning the rendered string.
+ */
+export const DefaultTemplates = {
+  en: {
+    low_stock: {
+      subject: '⚠️ Low Stock Alert: {{component.name || component.partNumber || "Unnamed Component"}}',
+      text: `Low Stock Alert - {{brand.name}}
+
+${COMPONENT_TEXT}
+Current Stock: {{component.quantity || 0}} units
+Location: {{component.location || "Not specified"}}
+
+Your component stock is running low. Consider reordering soon.
+
+${SIGNATURE}`,
+      html: ({ brand, component }) => renderHtmlEmail(brand, 'Low Stock Alert', componentRows(component),
+        'Your component stock is running low. Consider reordering soon.')
+    },
+    out_of_stock: {
+      subject: '🔴 Out of Stock: {{component.name || component.partNumber || "Unnamed Component"}}',
+      text: `Out of Stock Alert - {{brand.name}}
+
+${COMPONENT_TEXT}
+Current Stock: 0 units
+Location: {{component.location || "Not specified"}}
+
+This component is now out of stock. Immediate reorder recommended.
+
+${SIGNATURE}`,
+      html: ({ brand, component }) => renderHtmlEmail(brand, 'Out of Stock Alert', componentRows(component, '0 units'),
+        'This component is now out of stock. Immediate reorder recommended.')
+    },
+    critical_stock: {
+      subject: '🚨 Critical Stock Level: {{component.name || component.partNumber || "Unnamed Component"}}',
+      text: `Critical Stock Alert - {{brand.name}}
+
+${COMPONENT_TEXT}
+Current Stock: {{component.quantity || 0}} units (Critical threshold: {{threshold}})
+Location: {{component.location || "Not specified"}}
+
+CRITICAL: Stock level has reached critical threshold. Immediate action required.
+
+${SIGNATURE}`,
+      html: ({ brand, component, threshold }) => renderHtmlEmail(brand, 'Critical Stock Alert',
+        componentRows(component, `${component.quantity || 0} units (Critical threshold: ${threshold ?? ''})`),
+        'CRITICAL: Stock level has reached critical threshold. Immediate action required.')
+    },
+    projected_stockout: {
+      subject: ({ component, forecast }) =>
+        `📉 Projected Stockout: ${component.name || component.partNumber || 'Unnamed Component'} in ${formatDays(forecast.daysUntilStockout)}`,
+      text: ({ brand, component, forecast }) => `Projected Stockout Alert - ${brand.name}
+
+Component: ${component.name || 'Unnamed Component'}
+Part Number: ${component.partNumber || 'N/A'}
+Type: ${component.componentType || 'Unknown'}
+Current Stock: ${component.quantity || 0} units
+Usage: ${formatRate(forecast.dailyRate)} units/day over the last ${forecast.windowDays} days
+Projected Stockout: in ${formatDays(forecast.daysUntilStockout)} (${forecast.stockoutDate.slice(0, 10)})
+${reorderLine(forecast)}
+Location: ${component.location || 'Not specified'}
+
+At the current rate of use this component will run out soon. Consider reordering now.
+
+---
+${brand.footer}`,
+      html: ({ brand, component, forecast }) => {
+        const rows = componentRows(component);
+        rows.splice(4, 0,
+          ['Usage', `${formatRate(forecast.dailyRate)} units/day over the last ${forecast.windowDays} days`],
+          ['Projected Stockout', `in ${formatDays(forecast.daysUntilStockout)} (${forecast.stockoutDate.slice(0, 10)})`],
+          ['Reorder', reorderLine(forecast)]);
+        return renderHtmlEmail(brand, 'Projected Stockout Alert', rows,
+          'At the current rate of use this component will run out soon. Consider reordering now.');
+      }
+    },
+    recovered: {
+      subject: '✅ Stock Recovered: {{component.name || component.partNumber || "Unnamed Component"}}',
+      text: ({ brand, component, previousLevel }) => `Stock Recovered - ${brand.name}
+
+Component: ${component.name || 'Unnamed Component'}
+Part Number: ${component.partNumber || 'N/A'}
+Type: ${component.componentType || 'Unknown'}
+Current Stock: ${component.quantity || 0} units
+Previous Status: ${levelName(previousLevel)}
+Location: ${component.location || 'Not specified'}
+
+Stock is back above its alert thresholds. No action needed.
+
+---
+${brand.footer}`,
+      html: ({ brand, component, previousLevel }) => {
+        const rows = componentRows(component);
+        rows.splice(4, 0, ['Previous Status', levelName(previousLevel)]);
+        return renderHtmlEmail(brand, 'Stock Recovered', rows,
+          'Stock is back above its alert thresholds. No action needed.');
+      }
+    },
+    low_stock_digest: {
+      subject: ({ digest }) => (digest.total > 0
+        ? `📋 Low Stock Digest: ${digest.total} component${digest.total === 1 ? '' : 's'} need${digest.total === 1 ? 's' : ''} attention`
+        : '📋 Low Stock Digest: nothing to report'),
+      text: ({ brand, digest }) => {
+        const period = digest.frequency ? `${digest.frequency} summary, ` : '';
+        const lines = [];
+        for (const group of digest.groups) {
+          lines.push('', `${DIGEST_HEADINGS[group.level] || group.level} (${group.count})`);
+          for (const { location, components } of group.locations) {
+            lines.push(`  ${location}`);
+            for (const component of components) {
+              const part = component.partNumber ? ` (${component.partNumber})` : '';
+              lines.push(`    - ${component.name || 'Unnamed Component'}${part}: ${component.quantity || 0} units`);
+            }
+          }
+        }
+
+        return `Low Stock Digest - ${brand.name}
+
+${digestSummary(digest)} (${period}${digest.generatedAt.slice(0, 10)})${lines.length ? `\n${lines.join('\n')}` : ''}
+
+---
+${brand.footer}`;
+      },
+      html: ({ brand, digest }) => {
+        const sections = digest.groups.map(group => `
+<h3>${escapeHtml(DIGEST_HEADINGS[group.level] || group.level)} (${group.count})</h3>
+${group.locations.map(({ location, components }) => `<p><strong>${escapeHtml(location)}</strong></p>
+<ul>
+${components.map(component => `<li>${escapeHtml(component.name || 'Unnamed Component')}${component.partNumber ? ` (${escapeHtml(component.partNumber)})` : ''}: ${component.quantity || 0} units</li>`).join('\n')}
+</ul>`).join('\n')}`).join('');
+        return renderHtmlEmail(brand, 'Low Stock Digest', [], `${digestSummary(digest)} (${digest.generatedAt.slice(0, 10)})`, sections);
+      }
+    }
+  }
+};
+
+/**
+ * Named notification templates per alert type and locale
+ *
+ * `templates` is keyed by locale, then alert type, then part, e.g.
+ * `{ de: { low_stock: { subject, text, html } } }`; parts given here
+ * replace the built-in ones and the rest are kept. A locale falls back to
+ * its base language (`pt-BR` to `pt`), then `defaultLocale`, then English,
+ * for each alert type, so a translation can cover only some alerts.
+ * Templates see the alert data (`component`, `threshold`, `forecast`,
+ * `previousLevel` or `digest`) and `brand`.
+ */
+export class AlertTemplates {
+  constructor(config = {}) {
+    this.defaultLocale = (config.defaultLocale || 'en').toLowerCase();
+    this.branding = { ...DefaultBranding, ...config.branding };
+    this.locales = {};
+
+    for (const source of [DefaultTemplates, config.templates || {}]) {
+      for (const [locale, templates] of Object.entries(source)) {
+        this.register(locale, templates);
+      }
+    }
+  }
+
+  /**
+   * Add or replace templates for a locale
+   */
+  register(locale, templates) {
+    const key = locale.toLowerCase();
+    const existing = this.locales[key] || {};
+    for (const [alertType, parts] of Object.entries(templates)) {
+      existing[alertType] = { ...existing[alertType], ...parts };
+    }
+    this.locales[key] = existing;
+    return this;
+  }
+
+  /**
+   * Locales to try for a requested locale, most specific first
+   */
+  candidateLocales(locale) {
+    const requested = String(locale || '').toLowerCase().replace(/_/g, '-');
+    const candidates = [requested, requested.split('-')[0], this.defaultLocale, 'en'];
+    return [...new Set(candidates)].filter(candidate => candidate && this.locales[candidate]);
+  }
+
+  /**
+   * Render an alert as `{ locale, subject, text, html }`
+   *
+   * `locale` is the first candidate locale with a text template for the
+   * alert type. The subject may fall back further, but HTML only comes from
+   * that same locale, so a plain-text translation is not paired with
+   * English HTML; `html` is null when that locale has none.
+   */
+  render(alertType, data, locale) {
+    const candidates = this.candidateLocales(locale);
+    const find = (part, from = candidates) => {
+      for (const candidate of from) {
+        const template = this.locales[candidate][alertType]?.[part];
+        if (template) {
+          return { candidate, template };
+        }
+      }
+      return null;
+    };
+
+    const text = find('text');
+    if (!text) {
+      throw new ValidationError(`No template for alert type "${alertType}"`);
+    }
+
+    const context = { ...data, brand: this.branding };
+    const renderPart = (match, options) => {
+      if (!match) {
+        return null;
+      }
+      return typeof match.template === 'function'
+        ? match.template(context, TEMPLATE_HELPERS)
+        : interpolate(match.template, context, options);
+    };
+
+    return {
+      locale: text.candidate,
+      subject: renderPart(find('subject', candidates.slice(candidates.indexOf(text.candidate)))) || '',
+      text: renderPart(text).trim(),
+      html: renderPart(find('html', [text.candidate]), { escape: true })
+    };
+  }
+}
@@ -0,0 +1,247 @@
+import { ComponentTypes } from './constants.js';
+import { ValidationError } from './errors.js';
+
+export const Quantities = {
+  RESISTANCE: 'resistance',
+  CAPACITANCE: 'capacitance',
+  INDUCTANCE: 'inductance',
+  VOLTAGE: 'voltage',
+  CURRENT: 'current',
+  TOLERANCE: 'tolerance'
+};
+
+export const QuantityUnits = {
+  resistance: 'Ω',
+  capacitance: 'F',
+  inductance: 'H',
+  voltage: 'V',
+  current: 'A',
+  tolerance: '%'
+};
+
+const SI_PREFIXES = {
+  p: 1e-12,
+  n: 1e-9,
+  u: 1e-6,
+  'µ': 1e-6,
+  'μ': 1e-6,
+  m: 1e-3,
+  k: 1e3,
+  K: 1e3,
+  M: 1e6,
+  G: 1e9
+};
+
+const FORMAT_PREFIXES = [
+  ['G', 1e9],
+  ['M', 1e6],
+  ['k', 1e3],
+  ['', 1],
+  ['m', 1e-3],
+  ['µ', 1e-6],
+  ['n', 1e-9],
+  ['p', 1e-12]
+];
+
+// Unit spellings accepted after the number, mapped to their quantity.
+const UNIT_ALIASES = [
+  [/^(\u03A9|\u2126|ohms?|R)$/i, Quantities.RESISTANCE],
+  [/^F$/i, Quantities.CAPACITANCE],
+  [/^H$/i, Quantities.INDUCTANCE],
+  [/^V(DC|AC)?$/i, Quantities.VOLTAGE],
+  [/^A$/i, Quantities.CURRENT],
+  [/^%$/, Quantities.TOLERANCE]
+];
+
+// Which quantity a component's `value` field holds, by component type.
+const VALUE_QUANTITIES = {
+  [ComponentTypes.RESISTOR]: Quantities.RESISTANCE,
+  [ComponentTypes.CAPACITOR]: Quantities.CAPACITANCE,
+  [ComponentTypes.INDUCTOR]: Quantities.INDUCTANCE
+};
+
+// Component attributes that carry engineering values, and the quantity each holds.
+export const NormalizedFields = {
+  value: null,
+  voltageRating: Quantities.VOLTAGE,
+  currentRating: Quantities.CURRENT,
+  tolerance: Quantities.TOLERANCE
+};
+
+const PLAIN_PATTERN = /^([0-9]*\.?[0-9]+)\s*([mM]eg|[pnuµμmkKMG])?\s*([^\s\d]*)$/;
+const INFIX_PATTERN = /^([0-9]+)([mM]eg|[pnuµμmkKMGR])([0-9]+)\s*([^\s\d]*)$/;
+
+function resolveUnit(unitText) {
+  if (!unitText) {
+    return null;
+  }
+  for (const [pattern, quantity] of UNIT_ALIASES) {
+    if (pattern.test(unitText)) {
+      return quantity;
+    }
+  }
+  return undefined;
+}
+
+function prefixMultiplier(prefix) {
+  if (!prefix) {
+    return 1;
+  }
+  if (prefix.toLowerCase() === 'meg') {
+    return 1e6;
+  }
+  if (prefix === 'R') {
+    return 1;
+  }
+  return SI_PREFIXES[prefix];
+}
+
+/**
+ * Parse an engineering value such as "4.7kΩ", "4k7", "100nF", "16V" or "±5%"
+ *
+ * Returns `{ value, unit, quantity }` with `value` in base SI units (ohms,
+ * farads, henries, volts, amps, or percent for tolerance), or `null` if the
+ * text is not a value. When the text carries no unit, `expectedQuantity`
+ * decides how it is read; without one the quantity is `null`.
+ */
+export function parseValue(input, expectedQuantity = null) {
+  if (typeof input === 'number') {
+    return Number.isFinite(input)
+      ? { value: input, unit: QuantityUnits[expectedQuantity] || null, quantity: expectedQuantity }
+      : null;
+  }
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const text = input.trim().replace(/^±\s*/, '').replace(/,/g, '.');
+  let number;
+  let prefix;
+  let unitText;
+
+  const infix = text.match(INFIX_PATTERN);
+  const plain = infix ? null : text.match(PLAIN_PATTERN);
+
+  if (infix) {
+    // "4k7", "4R7", "2n2": the prefix letter stands in for the decimal point
+    number = parseFloat(`${infix[1]}.${infix[3]}`);
+    prefix = infix[2];
+    unitText = infix[4];
+  } else if (plain) {
+    number = parseFloat(plain[1]);
+    prefix = plain[2];
+    unitText = plain[3];
+  } else {
+    return null;
+  }
+
+  // An "R" in place of the decimal point ("4R7") only ever means ohms.
+  let quantity = resolveUnit(unitText);
+  if (quantity === undefined) {
+    return null;
+  }
+  if (prefix === 'R') {
+    if (quantity && quantity !== Quantities.RESISTANCE) {
+      return null;
+    }
+    quantity = Quantities.RESISTANCE;
+  }
+  if (!quantity) {
+    quantity = expectedQuantity;
+  }
+  if (expectedQuantity && quantity !== expectedQuantity) {
+    return null;
+  }
+
+  const multiplier = prefixMultiplier(prefix);
+  if (multiplier === undefined || (quantity === Quantities.TOLERANCE && multiplier !== 1)) {
+    return null;
+  }
+
+  return {
+    value: roundSignificant(number * multiplier),
+    unit: QuantityUnits[quantity] || null,
+    quantity
+  };
+}
+
+/**
+ * Format a value in base SI units with an engineering prefix, e.g. 4700 → "4.7kΩ"
+ */
+export function formatValue(value, quantity, options = {}) {
+  const { precision = 3, space = false } = options;
+  const unit = QuantityUnits[quantity] || '';
+  const separator = space ? ' ' : '';
+
+  if (quantity === Quantities.TOLERANCE) {
+    return `${trimNumber(value, precision)}${separator}${unit}`;
+  }
+  if (value === 0) {
+    return `0${separator}${unit}`;
+  }
+
+  const magnitude = Math.abs(value);
+  const [symbol, factor] = FORMAT_PREFIXES.find(([, f]) => magnitude >= f * 0.9995)
+    || FORMAT_PREFIXES[FORMAT_PREFIXES.length - 1];
+
+  return `${trimNumber(value / factor, precision)}${separator}${symbol}${unit}`;
+}
+
+/**
+ * Compare two engineering values, parsing strings as needed
+ */
+export function compareValues(a, b, quantity = null) {
+  const left = typeof a === 'object' && a !== null ? a : parseValue(a, quantity);
+  const right = typeof b === 'object' && b !== null ? b : parseValue(b, quantity);
+  if (!left || !right) {
+    throw new ValidationError(`Cannot compare values "${a}" and "${b}"`);
+  }
+  if (left.quantity && right.quantity && left.quantity !== right.quantity) {
+    throw new ValidationError(`Cannot compare ${left.quantity} with ${right.quantity}`);
+  }
+  return left.value - right.value;
+}
+
+/**
+ * Get the quantity a component's `value` field holds for a component type
+ */
+export function getValueQuantity(componentType) {
+  return VALUE_QUANTITIES[componentType] || null;
+}
+
+/**
+ * Build the normalized numeric values for a component's display strings
+ *
+ * Returns a map such as `{ value: 4700, valueUnit: 'Ω', tolerance: 5 }`, or
+ * `null` if the component has no parseable engineering values.
+ */
+export function normalizeComponentValues(component) {
+  const normalized = {};
+
+  for (const [field, fixedQuantity] of Object.entries(NormalizedFields)) {
+    if (component[field] === undefined || component[field] === null || component[field] === '') {
+      continue;
+    }
+
+    const quantity = fixedQuantity || getValueQuantity(component.componentType);
+    const parsed = parseValue(component[field], quantity);
+    if (!parsed) {
+      continue;
+    }
+
+    normalized[field] = parsed.value;
+    if (field === 'value' && parsed.unit) {
+      normalized.valueUnit = parsed.unit;
+    }
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+function roundSignificant(value) {
+  return value === 0 ? 0 : parseFloat(value.toPrecision(12));
+}
+
+function trimNumber(value, precision) {
+  return String(parseFloat(value.toPrecision(precision)));
+}
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeMovements, forecastStockout, suggestReorder } from '../lib/analytics.js';
+import { ComponentDatabase } from '../lib/dynamodb.js';
+
+const movements = [
+  { delta: 100, reason: 'initial' },
+  { delta: -20, reason: 'consume' },
+  { delta: -10, reason: 'count' },
+  { delta: 50, reason: 'receive' },
+  { delta: 0, reason: 'deleted' }
+];
+
+test('movements summarize into consumption, receipts and a daily rate', () => {
+  assert.deepEqual(summarizeMovements(movements, 30), { days: 30, consumed: 30, received: 50, movements: 5, dailyRate: 1 });
+  assert.equal(summarizeMovements(movements, 30, { reasons: ['consume'] }).consumed, 20);
+  assert.equal(summarizeMovements([], 0).dailyRate, 0);
+});
+
+test('stockouts are projected at the daily rate', () => {
+  const now = new Date('2024-06-01T00:00:00Z');
+
+  assert.deepEqual(forecastStockout(45, 1.5, now), { daysUntilStockout: 30, stockoutDate: '2024-07-01T00:00:00.000Z' });
+  assert.deepEqual(forecastStockout(0, 1.5, now), { daysUntilStockout: 0, stockoutDate: now.toISOString() });
+  assert.deepEqual(forecastStockout(45, 0, now), { daysUntilStockout: null, stockoutDate: null });
+});
+
+test('reorder points cover lead time and safety stock and respect the minimum', () => {
+  assert.deepEqual(suggestReorder({ quantity: 40, dailyRate: 2 }), {
+    leadTimeDays: 14,
+    safetyStock: 14,
+    reorderPoint: 42,
+    needsReorder: true,
+    reorderQuantity: 62
+  });
+  assert.equal(suggestReorder({ quantity: 40, dailyRate: 2, minStockLevel: 50 }).reorderQuantity, 70);
+
+  const stocked = suggestReorder({ quantity: 40, dailyRate: 2, safetyStock: 5 });
+  assert.deepEqual([stocked.reorderPoint, stocked.needsReorder, stocked.reorderQuantity], [33, false, 0]);
+});
+
+test('a component forecast reads the window from the ledger', async () => {
+  const database = new ComponentDatabase({ tableName: 'Components', movementsTableName: 'Movements' });
+  const queries = [];
+  database.docClient.send = async command => {
+    if (command.constructor.name === 'GetCommand') {
+      return { Item: { componentId: 'c1', name: 'NE555', quantity: 60, leadTimeDays: 10 } };
+    }
+    queries.push(command.input);
+    return { Items: [{ delta: -50, reason: 'consume' }, { delta: -40, reason: 'consume' }, { delta: 25, reason: 'receive' }] };
+  };
+  const now = new Date('2024-06-30T00:00:00Z');
+
+  const forecast = await database.getStockForecast('user-1', 'c1', { now });
+
+  assert.equal(queries[0].TableName, 'Movements');
+  assert.equal(queries[0].ExpressionAttributeValues[':from'], '2024-05-31T00:00:00.000Z');
+  assert.deepEqual(
+    [forecast.consumed, forecast.dailyRate, forecast.daysUntilStockout, forecast.stockoutDate],
+    [90, 3, 20, '2024-07-20T00:00:00.000Z']
+  );
+  assert.deepEqual([forecast.leadTimeDays, forecast.reorderPoint, forecast.needsReorder], [10, 51, false]);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ComponentCatalog } from '../lib/catalog.js';
+import { UpstreamError } from '../lib/errors.js';
+
+function deletionFixture(deleteFiles) {
+  const component = { componentId: 'c1', attachments: [{ key: 'images/user-1/c1/a.jpg' }] };
+  const database = { deleteComponent: async () => ({ success: true, deletedBy: 'user-1', component }) };
+  const storage = {
+    getComponentPrefixes: () => [{ prefix: 'images/user-1/c1/' }],
+    listFiles: async function* () { yield { key: 'images/user-1/c1/b.jpg' }; },
+    deleteFiles
+  };
+  return new ComponentCatalog({ database, storage, analyzer: {} });
+}
+
+test('a failed file cleanup leaves the component deleted and lists the files left behind', async () => {
+  const catalog = deletionFixture(async () => { throw new Error('S3 unavailable'); });
+
+  const result = await catalog.deleteComponent('user-1', 'c1');
+
+  assert.equal(result.success, true);
+  assert.equal(result.deletedBy, 'user-1');
+  assert.deepEqual(result.files, {
+    deleted: 0,
+    failed: ['images/user-1/c1/a.jpg', 'images/user-1/c1/b.jpg'],
+    error: 'S3 unavailable'
+  });
+});
+
+test('a partly failed file cleanup counts what was deleted', async () => {
+  const catalog = deletionFixture(async () => {
+    throw new UpstreamError('S3: 1 object could not be deleted', {
+      details: { failed: [{ key: 'images/user-1/c1/b.jpg', code: 'AccessDenied' }] }
+    });
+  });
+
+  const { files } = await catalog.deleteComponent('user-1', 'c1');
+
+  assert.deepEqual(files, { deleted: 1, failed: ['images/user-1/c1/b.jpg'], error: 'S3: 1 object could not be deleted' });
+});
+
+test('the sweep only drops attachment records whose object is confirmed missing', async () => {
+  const component = {
+    componentId: 'c1',
+    attachments: [
+      { key: 'images/user-1/c1/listed.jpg' },
+      { key: 'images/user-1/c1/gone.jpg' },
+      { key: 'images/user-1/c1/late.jpg' },
+      { key: 'legacy/user-1/c1/elsewhere.jpg' }
+    ]
+  };
+  const removed = [];
+  const database = {
+    iterateComponents: async function* () { yield component; },
+    removeAttachment: async (owner, componentId, key) => removed.push(key)
+  };
+  const storage = {
+    getComponentPrefixes: () => [{ prefix: 'images/user-1/' }, { prefix: 'datasheets/user-1/' }],
+    listFiles: async function* (prefix) {
+      if (prefix === 'images/user-1/') {
+        yield { key: 'images/user-1/c1/listed.jpg', lastModified: '2026-01-01T00:00:00Z' };
+      }
+    },
+    fileExists: async (owner, key) => key === 'images/user-1/c1/late.jpg',
+    deleteFiles: async () => ({ deleted: 0 })
+  };
+  const catalog = new ComponentCatalog({ database, storage, analyzer: {} });
+
+  const report = await catalog.sweepOrphans('user-1', { now: new Date('2026-03-01T00:00:00Z') });
+
+  assert.deepEqual(report.dangling, [{ componentId: 'c1', key: 'images/user-1/c1/gone.jpg' }]);
+  assert.deepEqual(removed, ['images/user-1/c1/gone.jpg']);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, sign } from 'node:crypto';
+import { CognitoAuth } from '../lib/cognito.js';
+
+function segment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+test('tokens whose header or payload is not an object are malformed', async () => {
+  const auth = new CognitoAuth({ userPoolId: 'us-east-1_pool', jwks: { keys: [] } });
+  const header = segment({ alg: 'RS256', kid: 'k1' });
+
+  for (const token of [
+    `${segment(null)}.${segment({})}.sig`,
+    `${segment([1])}.${segment({})}.sig`,
+    `${header}.${segment(null)}.sig`,
+    `${header}.${segment('text')}.sig`
+  ]) {
+    await assert.rejects(auth.verifyToken(token), { name: 'TokenVerificationError', code: 'MALFORMED_TOKEN' });
+  }
+});
+
+const ISSUER = 'https://cognito-idp.us-east-1.amazonaws.com/us-east-1_pool';
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1', use: 'sig', alg: 'RS256' }] };
+
+function signToken(claims, header = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const unsigned = `${segment({ alg: 'RS256', kid: 'k1', ...header })}.${segment({
+    sub: 'user-1',
+    iss: ISSUER,
+    token_use: 'id',
+    aud: 'client-1',
+    exp: now + 300,
+    ...claims
+  })}`;
+  return `${unsigned}.${sign('RSA-SHA256', Buffer.from(unsigned), privateKey).toString('base64url')}`;
+}
+
+test('tokens signed by a pool key with valid claims are accepted', async () => {
+  const auth = new CognitoAuth({ userPoolId: 'us-east-1_pool', clientId: 'client-1', jwks });
+
+  const claims = await auth.verifyToken(signToken({ email: 'a@example.com' }));
+  assert.equal(claims.sub, 'user-1');
+  assert.equal(claims.email, 'a@example.com');
+
+  const access = await auth.verifyToken(signToken({ token_use: 'access', aud: undefined, client_id: 'client-1' }));
+  assert.equal(access.token_use, 'access');
+});
+
+test('tokens with bad signatures or claims are rejected with their reason', async () => {
+  const auth = new CognitoAuth({ userPoolId: 'us-east-1_pool', clientId: 'client-1', jwks });
+  const now = Math.floor(Date.now() / 1000);
+  const valid = signToken({});
+  const tampered = `${valid.split('.')[0]}.${segment({ sub: 'admin', iss: ISSUER, token_use: 'id', aud: 'client-1', exp: now + 300 })}.${valid.split('.')[2]}`;
+
+  const cases = [
+    [tampered, 'INVALID_SIGNATURE'],
+    [signToken({}, { alg: 'HS256' }), 'UNSUPPORTED_ALGORITHM'],
+    [signToken({}, { kid: 'k2' }), 'UNKNOWN_KEY'],
+    [signToken({ exp: now - 60 }), 'TOKEN_EXPIRED'],
+    [signToken({ nbf: now + 60 }), 'TOKEN_NOT_YET_VALID'],
+    [signToken({ iss: 'https://cognito-idp.us-east-1.amazonaws.com/other' }), 'INVALID_ISSUER'],
+    [signToken({ token_use: 'refresh' }), 'INVALID_TOKEN_USE'],
+    [signToken({ aud: 'client-2' }), 'INVALID_AUDIENCE']
+  ];
+  for (const [token, code] of cases) {
+    await assert.rejects(auth.verifyToken(token), { name: 'TokenVerificationError', code, statusCode: 401 }, code);
+  }
+
+  // Within the clock tolerance
+  assert.equal((await auth.verifyToken(signToken({ exp: now - 2 }))).sub, 'user-1');
+});
+
+test('signing keys are fetched from the pool, cached and refetched for new key ids', async () => {
+  const requests = [];
+  const fetch = async url => {
+    requests.push(url);
+    return { ok: true, json: async () => jwks };
+  };
+  const auth = new CognitoAuth({ userPoolId: 'us-east-1_pool', fetch });
+
+  await auth.verifyToken(signToken({}));
+  await auth.verifyToken(signToken({}));
+  assert.deepEqual(requests, [`${ISSUER}/.well-known/jwks.json`]);
+
+  auth.keysFetchedAt -= 10 * 60 * 1000;
+  await assert.rejects(auth.verifyToken(signToken({}, { kid: 'k2' })), { code: 'UNKNOWN_KEY' });
+  assert.equal(requests.length, 2);
+
+  const failing = new CognitoAuth({ userPoolId: 'us-east-1_pool', fetch: async () => ({ ok: false, status: 503 }) });
+  await assert.rejects(failing.verifyToken(signToken({})), { name: 'UpstreamError', code: 'JWKS_UNAVAILABLE' });
+});
+
+test('verifying without a user pool reports the signing keys as unavailable', async () => {
+  const previous = process.env.COGNITO_USER_POOL_ID;
+  delete process.env.COGNITO_USER_POOL_ID;
+  try {
+    const auth = new CognitoAuth({ fetch: async () => { throw new Error('not called'); } });
+    await assert.rejects(auth.verifyToken(signToken({})), { name: 'UpstreamError', code: 'JWKS_UNAVAILABLE', statusCode: 502 });
+  } finally {
+    if (previous !== undefined) {
+      process.env.COGNITO_USER_POOL_ID = previous;
+    }
+  }
+});
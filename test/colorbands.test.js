@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeColorBands, encodeColorBands } from '../lib/colorbands.js';
+
+test('color bands decode for every band count', () => {
+  assert.deepEqual(decodeColorBands(['yellow', 'violet', 'red', 'gold']), {
+    resistance: 4700,
+    tolerance: 5,
+    temperatureCoefficient: null,
+    display: '4.7kΩ ±5%',
+    bands: ['YELLOW', 'VIOLET', 'RED', 'GOLD']
+  });
+  assert.equal(decodeColorBands(['brown', 'black', 'orange']).tolerance, 20);
+
+  const sixBand = decodeColorBands(['Brown', 'black', 'black', 'brown', 'brown', 'red']);
+  assert.equal(sixBand.resistance, 1000);
+  assert.equal(sixBand.tolerance, 1);
+  assert.equal(sixBand.temperatureCoefficient, 50);
+});
+
+test('bands read from the tolerance end are reversed', () => {
+  assert.equal(decodeColorBands(['gold', 'red', 'violet', 'yellow']).resistance, 4700);
+  assert.equal(decodeColorBands(['gray', 'red', 'gold']).resistance, 8.2);
+});
+
+test('invalid band sequences are rejected', () => {
+  assert.throws(() => decodeColorBands(['red', 'red']), { code: 'VALIDATION_ERROR' });
+  assert.throws(() => decodeColorBands(['red', 'red', 'teal']), { code: 'VALIDATION_ERROR' });
+  assert.throws(() => decodeColorBands(['red', 'gold', 'red', 'gold']), { code: 'VALIDATION_ERROR', message: /digit band/ });
+});
+
+test('resistances encode into color bands', () => {
+  assert.deepEqual(encodeColorBands('4k7'), ['YELLOW', 'VIOLET', 'RED', 'GOLD']);
+  assert.deepEqual(encodeColorBands(0.47), ['YELLOW', 'VIOLET', 'SILVER', 'GOLD']);
+  assert.deepEqual(encodeColorBands(10000, { bands: 5 }), ['BROWN', 'BLACK', 'BLACK', 'RED', 'BROWN']);
+  assert.deepEqual(encodeColorBands('4.7', { bands: 6, temperatureCoefficient: 50 }), ['YELLOW', 'VIOLET', 'BLACK', 'SILVER', 'BROWN', 'RED']);
+  assert.deepEqual(encodeColorBands('220', { bands: 3 }), ['RED', 'RED', 'BROWN']);
+
+  const bands = encodeColorBands('15.8k', { bands: 5 });
+  assert.equal(decodeColorBands(bands).resistance, 15800);
+});
+
+test('resistances needing more significant digits than the bands hold are rejected', () => {
+  assert.throws(() => encodeColorBands(4321), { code: 'VALIDATION_ERROR', message: /2 significant digits/ });
+  assert.throws(() => encodeColorBands('4k7', { bands: 7 }), { code: 'VALIDATION_ERROR' });
+  assert.throws(() => encodeColorBands(0), { code: 'VALIDATION_ERROR' });
+});
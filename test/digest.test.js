@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StockDigest } from '../lib/digest.js';
+import { StockAlerts } from '../lib/sns.js';
+import { MemoryAlertStateStore } from '../lib/alertstate.js';
+
+test('a failed digest is reported in its result and the other subscriptions still run', async () => {
+  const stateStore = new MemoryAlertStateStore();
+  const alerts = new StockAlerts({ stateStore, topicArn: 'arn:aws:sns:us-east-1:123456789012:alerts' });
+  alerts.client.send = async () => ({ MessageId: 'message-1' });
+  const database = {
+    getLowStockComponents: async owner => {
+      if (owner === 'user-1') {
+        throw new Error('table missing');
+      }
+      return [{ componentId: 'c1', name: '10k', quantity: 2, minStockLevel: 10, location: 'Drawer B' }];
+    }
+  };
+  const digest = new StockDigest({ database, alerts, stateStore });
+  const now = new Date('2026-03-02T08:00:00Z');
+
+  const results = await digest.runScheduled([
+    { owner: 'user-1', email: 'a@example.com', frequency: 'daily' },
+    { owner: 'user-2', email: 'b@example.com', frequency: 'daily' }
+  ], { now });
+
+  assert.deepEqual(results[0], { email: 'a@example.com', frequency: 'daily', status: 'failed', error: 'table missing' });
+  assert.equal(results[1].status, 'sent');
+  assert.equal(results[1].messageId, 'message-1');
+  // The failed run's claim was released, so the next run retries; the sent one is recorded
+  assert.equal((await stateStore.get('digest#user-1#a@example.com#daily')).lastRunAt, undefined);
+  assert.equal((await stateStore.get('digest#user-2#b@example.com#daily')).lastRunAt, now.toISOString());
+});
@@ -0,0 +1,183 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ComponentDatabase } from '../lib/dynamodb.js';
+import { normalizeComponentValues } from '../lib/units.js';
+
+/**
+ * Apply the `#normalized.x op :y` clauses of a FilterExpression to an item
+ */
+function matchesParameters(params, item) {
+  return params.FilterExpression.split(' AND ').every(clause => {
+    const match = clause.match(/^#normalized\.(#\w+) (>=|<=|=) (:\w+)$/);
+    if (!match) {
+      return true;
+    }
+    const actual = item.normalized?.[params.ExpressionAttributeNames[match[1]]];
+    const expected = params.ExpressionAttributeValues[match[3]];
+    if (match[2] === '>=') return actual >= expected;
+    if (match[2] === '<=') return actual <= expected;
+    return actual === expected;
+  });
+}
+
+test('value ranges only match components stored in the same unit', () => {
+  const database = new ComponentDatabase({ tableName: 'Components' });
+  const items = [
+    { componentType: 'capacitor', value: '100nF' },
+    { componentType: 'inductor', value: '100nH' },
+    { componentType: 'resistor', value: '100n' },
+    { componentType: 'capacitor', value: '1uF' }
+  ].map(component => ({ ...component, normalized: normalizeComponentValues(component) }));
+
+  const params = database.buildComponentQuery('user-1', {
+    parameters: { value: { min: '10nF', max: '220nF' } }
+  });
+
+  assert.deepEqual(items.filter(item => matchesParameters(params, item)).map(item => item.value), ['100nF']);
+});
+
+test('value ranges without a unit or type are not restricted by unit', () => {
+  const database = new ComponentDatabase({ tableName: 'Components' });
+  const params = database.buildComponentQuery('user-1', { parameters: { value: { min: '10n', max: '220n' } } });
+
+  assert.ok(!params.FilterExpression.includes('#valueUnit'));
+});
+
+test('value bounds in different units are rejected', () => {
+  const database = new ComponentDatabase({ tableName: 'Components' });
+
+  assert.throws(
+    () => database.buildComponentQuery('user-1', { parameters: { value: { min: '10nF', max: '1uH' } } }),
+    { code: 'VALIDATION_ERROR' }
+  );
+});
+
+test('migrating listed components surfaces a failed read to the caller', async () => {
+  const database = new ComponentDatabase({ tableName: 'Components' });
+  const reads = [];
+  database.docClient.send = async command => {
+    const { componentId } = command.input.Key;
+    reads.push(componentId);
+    if (componentId === 'c1') {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return { Item: { componentId } };
+    }
+    throw Object.assign(new Error('throttled'), { name: 'ProvisionedThroughputExceededException' });
+  };
+
+  await assert.rejects(
+    database.migrateStockHistory('user-1', { componentIds: ['c1', 'c2', 'c3'], dryRun: true }),
+    { code: 'THROTTLED' }
+  );
+  assert.deepEqual(reads, ['c1', 'c2']);
+});
+
+test('updateComponent refuses quantity changes so stock goes through the ledger', async () => {
+  const database = new ComponentDatabase({ tableName: 'Components' });
+  const sent = [];
+  database.docClient.send = async command => {
+    sent.push(command);
+    return {};
+  };
+
+  await assert.rejects(
+    database.updateComponent('user-1', 'c1', { quantity: 75, location: 'Drawer A3' }),
+    { code: 'VALIDATION_ERROR', message: /updateStock/ }
+  );
+  assert.equal(sent.length, 0);
+});
+
+/**
+ * Serve QueryCommands from `items`, `Limit` at a time, dropping those that
+ * fail `keep` like a FilterExpression applied after the limit
+ */
+function mockQuery(database, items, keep = () => true) {
+  const queries = [];
+  database.docClient.send = async command => {
+    const input = { ...command.input };
+    queries.push(input);
+    const start = input.ExclusiveStartKey ? items.findIndex(item => item.componentId === input.ExclusiveStartKey.componentId) + 1 : 0;
+    const end = input.Limit ? start + input.Limit : items.length;
+    const page = items.slice(start, end);
+    return {
+      Items: page.filter(keep),
+      LastEvaluatedKey: end < items.length ? { userId: 'user-1', componentId: page[page.length - 1].componentId } : undefined
+    };
+  };
+  return queries;
+}
+
+const parts = ['c1', 'c2', 'c3', 'c4', 'c5'].map((componentId, index) => ({
+  componentId,
+  name: ['LM358', 'NE555', '10k', 'BC547', '1N4148'][index],
+  quantity: [40, 5, 120, 5, 60][index],
+  normalized: { value: [undefined, undefined, 10000, undefined, 1e-9][index] }
+}));
+
+test('query pages keep reading until filtered pages are full and resume from the cursor', async () => {
+  const database = new ComponentDatabase({ tableName: 'Components', sortIndexes: { quantity: 'QuantityIndex' } });
+  const queries = mockQuery(database, parts, item => item.quantity > 10);
+
+  const first = await database.queryComponents('user-1', { limit: 2, sortBy: 'quantity', sortOrder: 'desc' });
+  assert.deepEqual(first.items.map(item => item.componentId), ['c1', 'c3']);
+  assert.equal(queries[0].IndexName, 'QuantityIndex');
+  assert.equal(queries[0].ScanIndexForward, false);
+  assert.deepEqual(queries.map(query => query.Limit), [2, 1]);
+
+  const second = await database.queryComponents('user-1', { limit: 2, sortBy: 'quantity', cursor: first.nextCursor });
+  assert.deepEqual(queries[2].ExclusiveStartKey, { userId: 'user-1', componentId: 'c3' });
+  assert.deepEqual(second.items.map(item => item.componentId), ['c5']);
+  assert.equal(second.nextCursor, null);
+});
+
+test('sorting without an index pages through an in-memory sort by offset', async () => {
+  const database = new ComponentDatabase({ tableName: 'Components' });
+  mockQuery(database, parts);
+
+  const pages = [];
+  let cursor;
+  do {
+    const page = await database.queryComponents('user-1', { limit: 2, sortBy: 'quantity', sortOrder: 'desc', cursor });
+    pages.push(page.items.map(item => item.componentId));
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepEqual(pages, [['c3', 'c5'], ['c1', 'c2'], ['c4']]);
+
+  const byValue = await database.queryComponents('user-1', { sortBy: 'value' });
+  assert.deepEqual(byValue.items.map(item => item.componentId).slice(0, 2), ['c5', 'c3']);
+});
+
+test('invalid cursors, sort fields and value sort indexes are rejected', async () => {
+  const database = new ComponentDatabase({ tableName: 'Components' });
+  mockQuery(database, parts);
+
+  await assert.rejects(database.queryComponents('user-1', { cursor: 'not json' }), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(database.queryComponents('user-1', { sortBy: 'createdAt' }), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(database.queryComponents('user-1', { limit: 0 }), { code: 'VALIDATION_ERROR' });
+  assert.throws(() => new ComponentDatabase({ sortIndexes: { value: 'ValueIndex' } }), { code: 'INVALID_CONFIG' });
+});
+
+test('deleting a component records the acting user in the ledger', async () => {
+  const database = new ComponentDatabase({ tableName: 'Components', movementsTableName: 'Movements' });
+  const admin = { userId: 'user-2', orgId: 'acme', memberships: [{ orgId: 'acme', role: 'admin' }] };
+  const writes = [];
+  database.docClient.send = async command => {
+    if (command.constructor.name === 'GetCommand') {
+      return { Item: { userId: 'org#acme', componentId: 'c1', quantity: 40, version: 3 } };
+    }
+    writes.push(command.input.TransactItems);
+    return {};
+  };
+
+  const result = await database.deleteComponent(admin, 'c1');
+
+  assert.equal(result.deletedBy, 'user-2');
+  assert.equal(result.component.quantity, 40);
+  const [[{ Delete }, { Put }]] = writes;
+  assert.equal(Delete.ExpressionAttributeValues[':expectedVersion'], 3);
+  assert.equal(Put.TableName, 'Movements');
+  assert.equal(Put.Item.actor, 'user-2');
+  assert.equal(Put.Item.reason, 'deleted');
+  assert.equal(Put.Item.timestamp, result.deletedAt);
+  assert.deepEqual([Put.Item.delta, Put.Item.quantity], [0, 40]);
+});
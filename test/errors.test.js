@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ComponentAnalyzer } from '../lib/rekognition.js';
+import { ComponentSchema } from '../lib/schema.js';
+import { PartNumberParser } from '../lib/partnumbers.js';
+import { CustomLabelsClassifier, FunctionClassifier } from '../lib/classifiers.js';
+import { CognitoAuth } from '../lib/cognito.js';
+import { ConflictError, NotFoundError, ThrottledError, UpstreamError, ValidationError, fromAwsError } from '../lib/errors.js';
+
+test('invalid configuration throws a typed INVALID_CONFIG error', () => {
+  const invalid = { name: 'ValidationError', code: 'INVALID_CONFIG', statusCode: 400 };
+
+  assert.throws(() => new ComponentAnalyzer().addClassifier({}), invalid);
+  assert.throws(() => new ComponentSchema().addField('userId', { type: 'string' }), invalid);
+  assert.throws(() => new ComponentSchema().addField('color', {}), invalid);
+  assert.throws(() => new PartNumberParser().addGrammar({ name: 'broken' }), invalid);
+  assert.throws(() => new CustomLabelsClassifier({}), invalid);
+  assert.throws(() => new FunctionClassifier('not a function'), invalid);
+});
+
+test('AWS exceptions map onto the typed errors', () => {
+  const aws = name => Object.assign(new Error(name), { name });
+
+  assert.ok(fromAwsError(aws('ProvisionedThroughputExceededException'), 'DynamoDB') instanceof ThrottledError);
+  assert.ok(fromAwsError(aws('NoSuchKey'), 'S3') instanceof NotFoundError);
+  assert.ok(fromAwsError(aws('ConditionalCheckFailedException'), 'DynamoDB') instanceof ConflictError);
+  assert.ok(fromAwsError(aws('InvalidImageFormatException'), 'Rekognition') instanceof ValidationError);
+
+  const other = fromAwsError(aws('InternalError'), 'SNS');
+  assert.ok(other instanceof UpstreamError);
+  assert.equal(other.message, 'SNS: InternalError');
+  assert.equal(other.cause.name, 'InternalError');
+
+  const typed = new NotFoundError('gone');
+  assert.equal(fromAwsError(typed, 'S3'), typed);
+});
+
+test('error responses carry the typed status and code and hide untyped messages', () => {
+  const auth = new CognitoAuth({ userPoolId: 'us-east-1_pool' });
+
+  const invalid = auth.createErrorResponse(new ValidationError('Field "color" needs a type', { code: 'INVALID_CONFIG' }));
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(JSON.parse(invalid.body).code, 'INVALID_CONFIG');
+
+  const untyped = auth.createErrorResponse(new Error('secret detail'));
+  assert.equal(untyped.statusCode, 500);
+  assert.equal(JSON.parse(untyped.body).error, 'Internal server error');
+
+  assert.equal(JSON.parse(auth.createErrorResponse(404, 'Missing').body).code, 'NOT_FOUND');
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UploadCategories, checkUpload, detectFileType, fileNameFor, fileTypeForContentType } from '../lib/filetypes.js';
+
+const bytes = (...values) => Buffer.from(values);
+const text = value => Buffer.from(value, 'latin1');
+
+const samples = {
+  jpeg: bytes(0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10),
+  png: bytes(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00),
+  webp: Buffer.concat([text('RIFF'), bytes(0x24, 0, 0, 0), text('WEBPVP8 ')]),
+  heic: Buffer.concat([bytes(0, 0, 0, 0x18), text('ftypheic'), bytes(0, 0, 0, 0)]),
+  pdf: text('%PDF-1.7\n%âãÏÓ\n'),
+  step: text('\xEF\xBB\xBFISO-10303-21;\nHEADER;\n'),
+  gerber: text('G04 Layer: TopLayer*\n%FSLAX46Y46*%\n'),
+  excellon: text('; drill file\nM48\nMETRIC\n'),
+  dxf: text('  0\r\nSECTION\r\n  2\r\nHEADER\r\n'),
+  kicadPcb: text('(kicad_pcb (version 20221018)'),
+  kicadSchematic: text('(kicad_sch (version 20230121)'),
+  zip: bytes(0x50, 0x4B, 0x03, 0x04, 0x14, 0x00)
+};
+
+test('every file type is recognised from its leading bytes', () => {
+  for (const [type, buffer] of Object.entries(samples)) {
+    assert.equal(detectFileType(buffer)?.type, type, type);
+  }
+  assert.deepEqual(detectFileType(samples.png), { type: 'png', contentType: 'image/png', extension: 'png' });
+  assert.equal(detectFileType(text('plain notes')), null);
+  assert.equal(detectFileType(bytes(0xFF, 0xD8)), null);
+});
+
+test('PDF headers are found after leading junk', () => {
+  assert.equal(detectFileType(Buffer.concat([Buffer.alloc(300, 0x20), text('%PDF-1.4')])).type, 'pdf');
+});
+
+test('uploads must be an accepted type that matches the declared one', () => {
+  const image = UploadCategories.image;
+
+  assert.equal(checkUpload(image, samples.png, 'image/png').extension, 'png');
+  assert.equal(checkUpload(image, samples.jpeg, 'image/jpg').type, 'jpeg');
+  assert.throws(() => checkUpload(image, samples.pdf), { code: 'UNSUPPORTED_FILE_TYPE', statusCode: 415 });
+  assert.throws(() => checkUpload(image, text('plain notes')), { code: 'UNSUPPORTED_FILE_TYPE' });
+  assert.throws(() => checkUpload(image, samples.png, 'image/jpeg'), {
+    code: 'CONTENT_TYPE_MISMATCH',
+    details: { declared: 'image/jpeg', detected: 'image/png' }
+  });
+  assert.throws(() => checkUpload(image, Buffer.alloc(0)), { code: 'EMPTY_FILE' });
+  assert.throws(() => checkUpload({ ...image, maxBytes: 4 }, samples.png), { code: 'FILE_TOO_LARGE', statusCode: 413 });
+});
+
+test('content types and file names map onto the detected type', () => {
+  assert.equal(fileTypeForContentType('Application/PDF; charset=binary'), 'pdf');
+  assert.equal(fileTypeForContentType('image/heif'), 'heic');
+  assert.equal(fileTypeForContentType('text/plain'), null);
+
+  const gerber = detectFileType(samples.gerber);
+  assert.equal(fileNameFor('top.GTL', gerber), 'top.GTL');
+  assert.equal(fileNameFor('board', gerber), 'board.gbr');
+  assert.equal(fileNameFor('../../etc/passwd.png', detectFileType(samples.jpeg)), '.._.._etc_passwd.png.jpg');
+  assert.equal(fileNameFor('', detectFileType(samples.pdf)), 'file.pdf');
+});
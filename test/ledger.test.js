@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { historyToMovements, createMovement, movementRangeCondition } from '../lib/ledger.js';
+import { ComponentDatabase } from '../lib/dynamodb.js';
+
+const history = [
+  { quantity: 100, action: 'initial', date: '2024-01-05T10:00:00Z' },
+  { change: -20, action: 'consume' },
+  { quantity: 90, date: '2024-02-01T09:00:00Z', actor: 'user-2' }
+];
+
+test('stock history replays into deltas and resulting quantities', () => {
+  const movements = historyToMovements(history, '2024-01-01T00:00:00.000Z');
+
+  assert.deepEqual(movements.map(movement => [movement.delta, movement.quantity, movement.reason]), [
+    [100, 100, 'initial'],
+    [-20, 80, 'consume'],
+    [10, 90, 'manual']
+  ]);
+  assert.equal(movements[2].actor, 'user-2');
+});
+
+test('converting the same history twice gives the same movement IDs, undated entries included', () => {
+  const access = { partitionKey: 'user-1', actorId: 'user-1', orgId: null };
+  const ids = () => historyToMovements(history, '2024-01-01T00:00:00.000Z')
+    .map(movement => createMovement(access, 'c1', movement).movementId);
+
+  const first = ids();
+  assert.deepEqual(ids(), first);
+  assert.equal(first[1], '2024-01-01T00:00:00.001Z#history0001');
+});
+
+test('invalid or unplaceable dates are rejected with a ValidationError', () => {
+  assert.throws(() => historyToMovements([{ quantity: 5, date: 'last Tuesday' }], '2024-01-01T00:00:00Z'), {
+    name: 'ValidationError',
+    details: { index: 0, date: 'last Tuesday' }
+  });
+  assert.throws(() => historyToMovements([{ quantity: 5 }]), { name: 'ValidationError', details: { index: 0 } });
+});
+
+test('date ranges include every movement of the end date', () => {
+  assert.deepEqual(movementRangeCondition('2024-06-01', '2024-06-30'), {
+    expression: 'movementId BETWEEN :from AND :to',
+    values: { ':from': '2024-06-01T00:00:00.000Z', ':to': '2024-06-30T00:00:00.000Z~' }
+  });
+  assert.equal(movementRangeCondition(), null);
+  assert.throws(() => movementRangeCondition('soon'), { code: 'VALIDATION_ERROR' });
+});
+
+test('re-running a migration writes the same ledger items', async () => {
+  const database = new ComponentDatabase({ tableName: 'Components', movementsTableName: 'Movements' });
+  const written = [];
+  database.docClient.send = async command => {
+    if (command.constructor.name === 'GetCommand') {
+      return { Item: { userId: 'user-1', componentId: 'c1', createdAt: '2024-01-01T00:00:00.000Z', stockHistory: history } };
+    }
+    written.push(...command.input.RequestItems.Movements.map(request => request.PutRequest.Item.movementId));
+    return {};
+  };
+
+  await database.migrateStockHistory('user-1', { componentIds: ['c1'], keepHistory: true });
+  await database.migrateStockHistory('user-1', { componentIds: ['c1'], keepHistory: true });
+
+  assert.equal(written.length, 6);
+  assert.deepEqual(written.slice(3), written.slice(0, 3));
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decodeResistorMarking,
+  decodeCapacitorMarking,
+  decodeInductorMarking,
+  decodeMarking,
+  decodeMarkingText
+} from '../lib/markings.js';
+import { ComponentAnalyzer } from '../lib/rekognition.js';
+
+function values(candidates) {
+  return candidates.map(candidate => [candidate.scheme, candidate.normalizedValue]);
+}
+
+test('SMD resistor markings decode in every scheme', () => {
+  assert.deepEqual(values(decodeResistorMarking('472')), [['3_digit', 4700]]);
+  assert.deepEqual(values(decodeResistorMarking('1002')), [['4_digit', 10000]]);
+  assert.deepEqual(values(decodeResistorMarking('4R7')), [['r_notation', 4.7]]);
+  assert.deepEqual(values(decodeResistorMarking('R47')), [['r_notation', 0.47]]);
+  assert.deepEqual(values(decodeResistorMarking('000')), [['zero_ohm', 0]]);
+  assert.deepEqual(decodeResistorMarking('XYZ'), []);
+});
+
+test('EIA-96 codes combine the value table with the multiplier letter', () => {
+  assert.deepEqual(decodeResistorMarking('01C'), [
+    { componentType: 'resistor', scheme: 'eia96', value: '10kΩ', normalizedValue: 10000, tolerance: '±1%' }
+  ]);
+  assert.equal(decodeResistorMarking('68X')[0].normalizedValue, 49.9);
+  assert.equal(decodeResistorMarking('96Z')[0].normalizedValue, 0.976);
+  assert.deepEqual(decodeResistorMarking('97C'), []);
+});
+
+test('capacitor markings decode tolerance, voltage and tantalum codes', () => {
+  assert.deepEqual(decodeCapacitorMarking('104K'), [
+    { componentType: 'capacitor', scheme: 'ceramic', value: '100nF', normalizedValue: 1e-7, tolerance: '±10%' }
+  ]);
+  assert.deepEqual(decodeCapacitorMarking('2A104J'), [
+    { componentType: 'capacitor', scheme: 'ceramic', value: '100nF', normalizedValue: 1e-7, voltageRating: '100V', tolerance: '±5%' }
+  ]);
+  assert.deepEqual(decodeCapacitorMarking('107C'), [
+    { componentType: 'capacitor', scheme: 'tantalum', value: '100µF', normalizedValue: 0.0001, voltageRating: '16V' }
+  ]);
+  assert.deepEqual(decodeCapacitorMarking('106A').map(candidate => candidate.scheme), ['tantalum']);
+  assert.deepEqual(decodeCapacitorMarking('105J').map(candidate => candidate.scheme), ['ceramic', 'tantalum']);
+  assert.equal(decodeCapacitorMarking('109')[0].normalizedValue, 1e-12);
+  assert.equal(decodeCapacitorMarking('4n7')[0].normalizedValue, 4.7e-9);
+  assert.deepEqual(decodeCapacitorMarking('107'), []);
+  assert.deepEqual(decodeCapacitorMarking('9X104'), []);
+});
+
+test('inductor markings decode in microhenries', () => {
+  assert.deepEqual(values(decodeInductorMarking('101')), [['3_digit', 0.0001]]);
+  assert.deepEqual(values(decodeInductorMarking('4R7')), [['r_notation', 0.0000047]]);
+  assert.deepEqual(values(decodeInductorMarking('47N')), [['n_notation', 4.7e-8]]);
+  assert.equal(decodeInductorMarking('101K')[0].tolerance, '±10%');
+});
+
+test('markings without a type are ambiguous and OCR voltage tokens apply to capacitors', () => {
+  const decoded = decodeMarking('472');
+  assert.equal(decoded.ambiguous, true);
+  assert.deepEqual(decoded.candidates.map(candidate => candidate.value), ['4.7kΩ', '4.7nF', '4.7mH']);
+  assert.equal(decodeMarking('472', 'capacitor').ambiguous, false);
+
+  const [result] = decodeMarkingText(['104 50V']);
+  const capacitor = result.candidates.find(candidate => candidate.componentType === 'capacitor');
+  assert.equal(capacitor.voltageRating, '50V');
+  assert.equal(result.candidates.find(candidate => candidate.componentType === 'resistor').voltageRating, undefined);
+});
+
+test('the analyzer falls back to marking codes found in the text', () => {
+  const analyzer = new ComponentAnalyzer();
+  const lines = texts => texts.map(DetectedText => ({ Type: 'LINE', DetectedText }));
+
+  const resistor = analyzer.analyzeResistor([], lines(['01C']));
+  assert.equal(resistor.estimatedValue, '10kΩ');
+  assert.equal(resistor.valueSource, 'marking');
+
+  const capacitor = analyzer.analyzeCapacitor(lines(['2A104J']));
+  assert.equal(capacitor.estimatedValue, '100nF');
+  assert.equal(capacitor.marking.candidates[0].voltageRating, '100V');
+});
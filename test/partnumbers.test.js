@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PartNumberParser } from '../lib/partnumbers.js';
+
+const parser = new PartNumberParser();
+
+test('STM32 part numbers decode pins, flash, package and temperature', () => {
+  assert.deepEqual(parser.parse('STM32F103C8T6'), {
+    partNumber: 'STM32F103C8T6',
+    manufacturer: 'STMicroelectronics',
+    basePart: 'STM32F103',
+    family: 'STM32F1',
+    package: 'LQFP-48',
+    temperatureRange: '-40°C to 85°C',
+    details: { pinCount: 48, flash: '64KB' },
+    grammar: 'stm32'
+  });
+});
+
+test('AVR part numbers decode with and without the ordering suffix', () => {
+  const full = parser.parse('ATmega328P-PU');
+  assert.equal(full.grammar, 'avr');
+  assert.equal(full.basePart, 'ATMEGA328P');
+  assert.equal(full.package, 'PDIP');
+  assert.equal(full.temperatureRange, 'industrial (-40°C to 85°C)');
+
+  const base = parser.parse('ATMEGA328P');
+  assert.equal(base.grammar, 'avr_base');
+  assert.equal(base.package, null);
+});
+
+test('logic, CMOS and analog families decode manufacturer and package', () => {
+  const logic = parser.parse('SN74HC595N');
+  assert.deepEqual([logic.grammar, logic.manufacturer, logic.basePart, logic.family, logic.package],
+    ['logic_7400', 'Texas Instruments', '74HC595', 'HC', 'PDIP']);
+  assert.equal(parser.parse('54LS00').temperatureRange, 'military (-55°C to 125°C)');
+
+  const cmos = parser.parse('CD4017BE');
+  assert.deepEqual([cmos.grammar, cmos.basePart, cmos.package], ['cmos_4000', '4017B', 'PDIP']);
+
+  const analog = parser.parse('LM358DR');
+  assert.deepEqual([analog.grammar, analog.basePart, analog.package], ['analog', 'LM358', 'SOIC']);
+  assert.equal(parser.parse('NE 555 P').basePart, 'NE555');
+  assert.equal(parser.parse('XYZ123'), null);
+});
+
+test('markings split across lines are joined', () => {
+  const results = parser.parseMarking(['ATMEGA328P', '-PU', '1234']);
+  assert.deepEqual(results.map(result => result.partNumber), ['ATMEGA328P-PU']);
+});
+
+test('added grammars are tried before the built-in ones', () => {
+  const custom = new PartNumberParser().addGrammar({
+    name: 'esp32',
+    pattern: /^(?<base>ESP32)-(?<module>WROOM|WROVER)-\d+$/,
+    decode: groups => ({ manufacturer: 'Espressif', basePart: `${groups.base}-${groups.module}` })
+  });
+
+  const parsed = custom.parse('ESP32-WROOM-32');
+  assert.equal(parsed.grammar, 'esp32');
+  assert.equal(parsed.manufacturer, 'Espressif');
+  assert.equal(custom.parse('LM358DR').grammar, 'analog');
+  assert.throws(() => custom.addGrammar({ name: 'broken', pattern: 'ESP*' }), /RegExp pattern/);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ComponentAnalyzer } from '../lib/rekognition.js';
+import { CustomLabelsClassifier } from '../lib/classifiers.js';
+
+const LEFT = { Left: 0.1, Top: 0.1, Width: 0.2, Height: 0.2 };
+const RIGHT = { Left: 0.6, Top: 0.1, Width: 0.2, Height: 0.2 };
+
+function mockRekognition(analyzer, responses) {
+  const sent = [];
+  analyzer.client.send = async command => {
+    sent.push(command);
+    return responses[command.constructor.name];
+  };
+  return sent;
+}
+
+const trayLabels = {
+  Labels: [{
+    Name: 'Electronic Component',
+    Confidence: 90,
+    Instances: [{ BoundingBox: LEFT, Confidence: 90 }, { BoundingBox: RIGHT, Confidence: 85 }]
+  }]
+};
+
+test('tray analysis types each instance with the configured classifiers', async () => {
+  const contexts = [];
+  const analyzer = new ComponentAnalyzer({
+    classifiers: [context => {
+      contexts.push(context);
+      return context.boundingBox === LEFT ? [{ type: 'capacitor', confidence: 95 }] : [{ type: 'inductor', confidence: 80 }];
+    }]
+  });
+  mockRekognition(analyzer, { DetectLabelsCommand: trayLabels, DetectTextCommand: { TextDetections: [] } });
+
+  const tray = await analyzer.analyzeTray({ bucket: 'parts', key: 'tray.jpg' });
+
+  assert.deepEqual(tray.instances.map(instance => instance.type), ['capacitor', 'inductor']);
+  assert.deepEqual(tray.countsByType, { capacitor: 1, inductor: 1 });
+  assert.equal(contexts.length, 2);
+  assert.deepEqual(contexts[0].image, { S3Object: { Bucket: 'parts', Name: 'tray.jpg' } });
+});
+
+test('custom labels run once per tray and count only labels inside each box', async () => {
+  const analyzer = new ComponentAnalyzer({
+    classifiers: [new CustomLabelsClassifier({ projectVersionArn: 'arn:model' })]
+  });
+  const sent = mockRekognition(analyzer, {
+    DetectLabelsCommand: trayLabels,
+    DetectTextCommand: { TextDetections: [] },
+    DetectCustomLabelsCommand: {
+      CustomLabels: [
+        { Name: 'resistor', Confidence: 97, Geometry: { BoundingBox: { Left: 0.15, Top: 0.15, Width: 0.1, Height: 0.1 } } },
+        { Name: 'diode', Confidence: 88, Geometry: { BoundingBox: { Left: 0.65, Top: 0.15, Width: 0.1, Height: 0.1 } } }
+      ]
+    }
+  });
+
+  const tray = await analyzer.analyzeTray({ bucket: 'parts', key: 'tray.jpg' });
+
+  assert.deepEqual(tray.instances.map(instance => instance.type), ['resistor', 'diode']);
+  assert.equal(sent.filter(command => command.constructor.name === 'DetectCustomLabelsCommand').length, 1);
+});
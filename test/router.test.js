@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiRouter, createInventoryApi } from '../lib/router.js';
+import { CognitoAuth } from '../lib/cognito.js';
+import { UpstreamError, ValidationError } from '../lib/errors.js';
+
+function createRouter() {
+  const router = new ApiRouter({ userPoolId: 'us-east-1_pool' });
+  router.post('/items/:itemId', request => ({ itemId: request.params.itemId, body: request.body }), { auth: false });
+  return router;
+}
+
+function post(path, body) {
+  return { httpMethod: 'POST', path, headers: { 'Content-Type': 'application/json' }, body };
+}
+
+test('bodies that are not JSON objects are rejected with 400', async () => {
+  const router = createRouter();
+
+  for (const body of ['null', '42', '"text"', '[1, 2]']) {
+    const response = await router.handle(post('/items/a', body));
+    assert.equal(response.statusCode, 400, body);
+    assert.equal(JSON.parse(response.body).code, 'VALIDATION_ERROR');
+  }
+
+  const response = await router.handle(post('/items/a', '{"quantity": 3}'));
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(JSON.parse(response.body), { itemId: 'a', body: { quantity: 3 } });
+});
+
+test('malformed percent-encoding in the path is a 400', async () => {
+  const router = createRouter();
+
+  const response = await router.handle(post('/items/%E0%A4%A', '{}'));
+  assert.equal(response.statusCode, 400);
+  assert.equal(JSON.parse((await router.handle(post('/items/a%2Fb', '{}'))).body).itemId, 'a/b');
+});
+
+test('consume and receive accept quantities sent as numeric strings', async () => {
+  const calls = [];
+  const database = {
+    consumeStock: async (owner, componentId, quantity) => calls.push(['consume', componentId, quantity]),
+    receiveStock: async (owner, componentId, quantity) => calls.push(['receive', componentId, quantity])
+  };
+  const auth = new CognitoAuth({ userPoolId: 'us-east-1_pool' });
+  auth.getUserContext = async () => ({ userId: 'user-1' });
+  const api = createInventoryApi({ auth, database, storage: {}, catalog: {} });
+
+  assert.equal((await api.handle(post('/components/c1/consume', '{"quantity": "3"}'))).statusCode, 200);
+  assert.equal((await api.handle(post('/components/c1/receive', '{"quantity": 5}'))).statusCode, 200);
+  assert.equal((await api.handle(post('/components/c1/receive', '{"quantity": "2.5"}'))).statusCode, 400);
+  assert.deepEqual(calls, [['consume', 'c1', 3], ['receive', 'c1', 5]]);
+});
+
+test('server errors map to 5xx bodies and are passed to the configured logger', async () => {
+  const logged = [];
+  const router = new ApiRouter({ userPoolId: 'us-east-1_pool', logger: { error: error => logged.push(error) } });
+  router.get('/boom', () => { throw new Error('connection string leaked'); }, { auth: false });
+  router.get('/upstream', () => { throw new UpstreamError('S3: service unavailable'); }, { auth: false });
+  router.get('/invalid', () => { throw new ValidationError('quantity must be an integer'); }, { auth: false });
+
+  const boom = await router.handle({ httpMethod: 'GET', path: '/boom' });
+  assert.equal(boom.statusCode, 500);
+  const { timestamp, ...body } = JSON.parse(boom.body);
+  assert.deepEqual(body, { error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  assert.ok(timestamp);
+
+  const upstream = await router.handle({ httpMethod: 'GET', path: '/upstream' });
+  assert.equal(upstream.statusCode, 502);
+  assert.equal(JSON.parse(upstream.body).code, 'UPSTREAM_ERROR');
+
+  assert.equal((await router.handle({ httpMethod: 'GET', path: '/invalid' })).statusCode, 400);
+  assert.deepEqual(logged.map(error => error.message), ['connection string leaked', 'S3: service unavailable']);
+});
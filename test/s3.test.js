@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { ComponentStorage } from '../lib/s3.js';
+
+process.env.AWS_ACCESS_KEY_ID ||= 'AKIDEXAMPLE';
+process.env.AWS_SECRET_ACCESS_KEY ||= 'secret';
+
+function mockStorage(config = {}) {
+  const storage = new ComponentStorage({ bucketName: 'components', ...config });
+  const sent = [];
+  storage.client.send = async command => {
+    sent.push(command);
+    return {};
+  };
+  return { storage, sent };
+}
+
+const editor = { userId: 'user-1', orgId: 'acme', memberships: [{ orgId: 'acme', role: 'editor' }] };
+
+test('files can only be presigned and deleted by their own inventory', async () => {
+  const { storage, sent } = mockStorage();
+
+  const url = await storage.getPresignedUrl(editor, 'images/orgs/acme/c1/photo.jpg');
+  assert.match(url, /images\/orgs\/acme\/c1\/photo\.jpg/);
+  await storage.deleteFile(editor, 'datasheets/orgs/acme/c1/sheet.pdf');
+  assert.equal(sent.length, 1);
+
+  for (const key of ['images/orgs/other/c1/photo.jpg', 'images/user-1/c1/photo.jpg', 'images/orgs/acme/../other/c1/x.jpg']) {
+    await assert.rejects(storage.getPresignedUrl(editor, key), { code: 'FORBIDDEN' });
+    await assert.rejects(storage.deleteFile(editor, key), { code: 'FORBIDDEN' });
+  }
+  await assert.rejects(storage.deleteFiles('user-2', ['images/user-2/c1/a.jpg', 'images/user-1/c1/b.jpg']), { code: 'FORBIDDEN' });
+  assert.equal(sent.length, 1);
+});
+
+test('the 1.x key-only calls are refused with OWNER_REQUIRED', async () => {
+  const { storage, sent } = mockStorage();
+
+  await assert.rejects(storage.getPresignedUrl('images/user-1/c1/photo.jpg', 600), { code: 'OWNER_REQUIRED', statusCode: 400 });
+  await assert.rejects(storage.deleteFile('images/user-1/c1/photo.jpg'), { code: 'OWNER_REQUIRED' });
+  assert.equal(sent.length, 0);
+});
+
+test('the source stream is destroyed when a stream upload fails', async () => {
+  const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(1024)]);
+  const source = (chunk) => new Readable({
+    read() {
+      this.push(chunk);
+    }
+  });
+  const { storage } = mockStorage();
+
+  const text = source(Buffer.from('not an image'));
+  await assert.rejects(storage.uploadStream(editor, 'c1', 'image', text), { code: 'UNSUPPORTED_FILE_TYPE' });
+  assert.equal(text.destroyed, true);
+
+  const oversized = source(png);
+  await assert.rejects(storage.uploadStream(editor, 'c1', 'image', oversized, { size: 1024 ** 4 }), { code: 'FILE_TOO_LARGE' });
+  assert.equal(oversized.destroyed, true);
+
+  storage.client.send = async () => { throw Object.assign(new Error('Service unavailable'), { name: 'ServiceUnavailable' }); };
+  const failing = source(png);
+  await assert.rejects(storage.uploadStream(editor, 'c1', 'image', failing));
+  assert.equal(failing.destroyed, true);
+});
+
+test('fileExists checks the owner and treats a missing object as false', async () => {
+  const { storage } = mockStorage();
+  storage.client.send = async command => {
+    if (command.input.Key.endsWith('gone.jpg')) {
+      throw Object.assign(new Error('Not Found'), { name: 'NotFound' });
+    }
+    return { ContentLength: 10 };
+  };
+
+  assert.equal(await storage.fileExists('user-1', 'images/user-1/c1/photo.jpg'), true);
+  assert.equal(await storage.fileExists('user-1', 'images/user-1/c1/gone.jpg'), false);
+  await assert.rejects(storage.fileExists('user-1', 'images/user-2/c1/photo.jpg'), { code: 'FORBIDDEN' });
+});
+
+test('uploads are stored under a key and content type taken from their bytes', async () => {
+  const { storage, sent } = mockStorage();
+  const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(64)]);
+
+  const named = await storage.uploadFile(editor, 'c1', 'image', png, { filename: 'board photo' });
+  assert.equal(named.key, 'images/orgs/acme/c1/board photo.png');
+  assert.equal(named.contentType, 'image/png');
+  assert.equal(sent[0].input.ContentType, 'image/png');
+
+  const timed = await storage.uploadImage('user-1', 'c2', png);
+  assert.match(timed.key, /^images\/user-1\/c2\/\d+\.png$/);
+
+  await assert.rejects(storage.uploadDatasheet('user-1', 'c2', png, 'sheet.pdf'), { code: 'UNSUPPORTED_FILE_TYPE' });
+  assert.equal(sent.length, 2);
+});
+
+test('presigned POST policies enforce size, type, metadata and key', async () => {
+  const { storage } = mockStorage();
+
+  const post = await storage.createPresignedPost(editor, 'c1', 'datasheet', { maxBytes: 1000, expiresIn: 120 });
+  const policy = JSON.parse(Buffer.from(post.fields.Policy, 'base64').toString('utf8'));
+
+  assert.match(post.key, /^datasheets\/orgs\/acme\/c1\/\d+\.pdf$/);
+  assert.equal(post.contentType, 'application/pdf');
+  assert.equal(post.maxBytes, 1000);
+  assert.deepEqual(policy.conditions.slice(0, 2), [
+    ['content-length-range', 1, 1000],
+    ['starts-with', '$key', 'datasheets/orgs/acme/c1/']
+  ]);
+  for (const condition of [
+    { 'Content-Type': 'application/pdf' },
+    { 'x-amz-meta-userid': 'user-1' },
+    { 'x-amz-meta-orgid': 'acme' },
+    { 'x-amz-meta-componentid': 'c1' },
+    { key: post.key }
+  ]) {
+    assert.ok(policy.conditions.some(entry => JSON.stringify(entry) === JSON.stringify(condition)), JSON.stringify(condition));
+  }
+  assert.ok(Date.parse(policy.expiration) - Date.now() <= 120 * 1000);
+
+  // maxBytes never raises the category limit
+  const capped = await storage.createPresignedPost('user-1', 'c1', 'image', { maxBytes: 1024 ** 4 });
+  assert.equal(capped.maxBytes, 10 * 1024 * 1024);
+  await assert.rejects(storage.createPresignedPost({ ...editor, memberships: [{ orgId: 'acme', role: 'viewer' }] }, 'c1'), { code: 'FORBIDDEN' });
+});
+
+test('verified uploads must match their component and declared type, or are deleted', async () => {
+  const { storage } = mockStorage();
+  const pdf = Buffer.from('%PDF-1.7\n');
+  let head;
+  const deleted = [];
+  storage.client.send = async command => {
+    const name = command.constructor.name;
+    if (name === 'HeadObjectCommand') return head;
+    if (name === 'GetObjectCommand') return { Body: { transformToByteArray: async () => pdf } };
+    if (name === 'DeleteObjectCommand') deleted.push(command.input.Key);
+    return {};
+  };
+  const key = 'datasheets/orgs/acme/c1/1718000000000.pdf';
+
+  head = { ContentLength: 2048, ContentType: 'application/pdf', ETag: '"e1"', Metadata: { componentid: 'c1', userid: 'user-3' } };
+  assert.deepEqual(await storage.verifyUpload(editor, 'c1', key), {
+    key, kind: 'datasheet', contentType: 'application/pdf', size: 2048, etag: '"e1"', uploadedBy: 'user-3'
+  });
+
+  head = { ...head, Metadata: { componentid: 'c2' } };
+  await assert.rejects(storage.verifyUpload(editor, 'c1', key), { code: 'UPLOAD_METADATA_MISMATCH' });
+  head = { ContentLength: 2048, ContentType: 'image/png' };
+  await assert.rejects(storage.verifyUpload(editor, 'c1', key), { code: 'CONTENT_TYPE_MISMATCH' });
+  assert.deepEqual(deleted, [key, key]);
+
+  await assert.rejects(storage.verifyUpload(editor, 'c1', 'datasheets/orgs/acme/c9/x.pdf'), { code: 'FORBIDDEN' });
+});
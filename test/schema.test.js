@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ComponentSchema } from '../lib/schema.js';
+import { ComponentDatabase } from '../lib/dynamodb.js';
+
+const schema = new ComponentSchema();
+
+function fieldErrors(fn) {
+  try {
+    fn();
+  } catch (error) {
+    assert.equal(error.code, 'VALIDATION_ERROR');
+    return error.details.errors;
+  }
+  assert.fail('expected a ValidationError');
+}
+
+test('valid records pass and are returned', () => {
+  const record = { name: '10k', componentType: 'resistor', quantity: 200, value: '10k', tags: ['0603'] };
+  assert.equal(schema.assertValid(record), record);
+});
+
+test('every failing field is listed in details.errors', () => {
+  const errors = fieldErrors(() => schema.assertValid({
+    componentType: 'flux capacitor',
+    quantity: 2.5,
+    unitPrice: -1,
+    tags: ['0603', 4],
+    userId: 'someone-else',
+    colour: 'blue'
+  }));
+
+  assert.deepEqual(errors, [
+    { field: 'componentType', message: `must be one of: ${schema.fields.componentType.enum.join(', ')}` },
+    { field: 'quantity', message: 'must be an integer' },
+    { field: 'unitPrice', message: 'must be at least 0' },
+    { field: 'tags', message: 'must contain only string values' },
+    { field: 'userId', message: 'is managed by the database and cannot be written' },
+    { field: 'colour', message: 'is not a known component field' },
+    { field: 'name', message: 'is required' }
+  ]);
+});
+
+test('partial updates may omit required fields but not clear them', () => {
+  assert.doesNotThrow(() => schema.assertValid({ location: 'Drawer A3' }, { partial: true }));
+  assert.deepEqual(fieldErrors(() => schema.assertValid({ name: '' }, { partial: true })), [{ field: 'name', message: 'is required' }]);
+  assert.deepEqual(fieldErrors(() => schema.assertValid(null)), [{ field: null, message: 'must be an object' }]);
+});
+
+test('custom validators and added fields take part in validation', () => {
+  assert.deepEqual(
+    fieldErrors(() => schema.assertValid({ alertThresholds: { critical: 20, low: 10 } }, { partial: true })),
+    [{ field: 'alertThresholds', message: 'critical must not be above low' }]
+  );
+
+  const custom = new ComponentSchema({ fields: { binColor: { type: 'string', enum: ['red', 'blue'] } } })
+    .addField('reelCount', { type: 'integer', min: 1 });
+  assert.doesNotThrow(() => custom.assertValid({ binColor: 'red', reelCount: 2 }, { partial: true }));
+  assert.deepEqual(fieldErrors(() => custom.assertValid({ reelCount: 0 }, { partial: true })), [{ field: 'reelCount', message: 'must be at least 1' }]);
+
+  const open = new ComponentSchema({ allowUnknownFields: true });
+  assert.doesNotThrow(() => open.assertValid({ colour: 'blue' }, { partial: true }));
+});
+
+test('the database validates records before writing them', async () => {
+  const database = new ComponentDatabase({ tableName: 'Components' });
+  const sent = [];
+  database.docClient.send = async command => {
+    sent.push(command);
+    return {};
+  };
+
+  await assert.rejects(database.createComponent('user-1', { name: '10k', componentType: 'resistor', quantity: -3 }), {
+    code: 'VALIDATION_ERROR',
+    details: { errors: [{ field: 'quantity', message: 'must be at least 0' }] }
+  });
+  assert.equal(sent.length, 0);
+});
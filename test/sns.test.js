@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StockAlerts } from '../lib/sns.js';
+import { StockDigest } from '../lib/digest.js';
+import { DynamoDBAlertStateStore, MemoryAlertStateStore } from '../lib/alertstate.js';
+
+test('alert state is kept in DynamoDB unless another store is passed', () => {
+  const previous = process.env.ALERT_STATE_TABLE;
+  delete process.env.ALERT_STATE_TABLE;
+  try {
+    const alerts = new StockAlerts({ topicArn: 'arn:aws:sns:us-east-1:123456789012:alerts' });
+    assert.ok(alerts.stateStore instanceof DynamoDBAlertStateStore);
+    assert.equal(alerts.stateStore.tableName, 'CircuitStreamAlertState');
+
+    const memory = new MemoryAlertStateStore();
+    assert.equal(new StockAlerts({ stateStore: memory }).stateStore, memory);
+  } finally {
+    if (previous !== undefined) {
+      process.env.ALERT_STATE_TABLE = previous;
+    }
+  }
+});
+
+function capturePublishes(alerts) {
+  const published = [];
+  alerts.client.send = async (command) => {
+    published.push(command.input);
+    return { MessageId: 'message-1' };
+  };
+  return published;
+}
+
+test('a large digest is compacted to fit the SNS message size limit', async () => {
+  const components = Array.from({ length: 300 }, (_, i) => ({
+    componentId: `component-${String(i).padStart(6, '0')}`,
+    name: `Part ${i} thick film resistor, 0603 package`,
+    partNumber: `RC0603FR-07${i}KL`,
+    componentType: 'resistor',
+    quantity: i % 10,
+    minStockLevel: 20,
+    location: `Cabinet ${i % 7} Drawer ${i % 13}`
+  }));
+  const alerts = new StockAlerts({ stateStore: new MemoryAlertStateStore(), topicArn: 'arn:aws:sns:us-east-1:123456789012:alerts' });
+  const published = capturePublishes(alerts);
+  const database = { getLowStockComponents: async () => components };
+
+  await new StockDigest({ database, alerts }).sendDigest('user-1', 'a@example.com');
+
+  assert.equal(published.length, 1);
+  assert.ok(Buffer.byteLength(published[0].Message) <= 256 * 1024);
+  const messages = JSON.parse(published[0].Message);
+  const event = JSON.parse(messages.sqs);
+  assert.equal(event.htmlOmitted, true);
+  assert.equal(event.html, undefined);
+  assert.equal(event.digest.total, 300);
+  assert.equal(event.digest.truncated, true);
+  assert.ok(event.digest.included < 300);
+  assert.ok(JSON.parse(messages.https).text.includes('Part 299 '));
+});
+
+test('a small alert is published in full', async () => {
+  const alerts = new StockAlerts({ stateStore: new MemoryAlertStateStore(), topicArn: 'arn:aws:sns:us-east-1:123456789012:alerts' });
+  const published = capturePublishes(alerts);
+
+  await alerts.sendLowStockAlert({ componentId: 'c1', name: '10k', quantity: 3, minStockLevel: 10, location: 'Drawer B' }, 'a@example.com');
+
+  assert.equal(published.length, 1);
+  const event = JSON.parse(JSON.parse(published[0].Message).sqs);
+  assert.equal(typeof event.html, 'string');
+  assert.equal(event.htmlOmitted, undefined);
+});
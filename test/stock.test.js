@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ComponentDatabase } from '../lib/dynamodb.js';
+
+const canceled = () => Object.assign(new Error('Transaction cancelled'), { name: 'TransactionCanceledException' });
+
+/**
+ * A database whose component is read from `reads` in turn and whose
+ * transactions fail with `failures` before succeeding
+ */
+function mockStock(reads, failures = 0, config = {}) {
+  const database = new ComponentDatabase({ tableName: 'Components', movementsTableName: 'Movements', ...config });
+  const transactions = [];
+  let read = 0;
+  database.docClient.send = async command => {
+    const name = command.constructor.name;
+    if (name === 'GetCommand') {
+      return { Item: reads[Math.min(read++, reads.length - 1)] };
+    }
+    if (name === 'TransactWriteCommand') {
+      transactions.push(command.input.TransactItems);
+      if (transactions.length <= failures) {
+        throw canceled();
+      }
+      return {};
+    }
+    if (name === 'UpdateCommand') {
+      throw Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+    }
+    throw new Error(`Unexpected ${name}`);
+  };
+  return { database, transactions };
+}
+
+const component = (quantity, version) => ({ userId: 'user-1', componentId: 'c1', quantity, version });
+
+test('stock changes are written with the ledger entry, conditioned on the version read', async () => {
+  const { database, transactions } = mockStock([component(50, 4)]);
+
+  const result = await database.consumeStock('user-1', 'c1', 12, { projectRef: 'PCB-rev3' });
+
+  assert.equal(result.quantity, 38);
+  assert.equal(result.version, 5);
+  const [[{ Update }, { Put }]] = transactions;
+  assert.match(Update.ConditionExpression, /#version = :expectedVersion/);
+  assert.equal(Update.ExpressionAttributeValues[':expectedVersion'], 4);
+  assert.equal(Update.ExpressionAttributeValues[':version'], 5);
+  assert.deepEqual([Put.Item.delta, Put.Item.quantity, Put.Item.reason, Put.Item.projectRef], [-12, 38, 'consume', 'PCB-rev3']);
+});
+
+test('a concurrent write is retried on fresh data', async () => {
+  const { database, transactions } = mockStock([component(50, 4), component(45, 5)], 1);
+
+  const result = await database.receiveStock('user-1', 'c1', 10);
+
+  assert.equal(transactions.length, 2);
+  assert.equal(transactions[1][0].Update.ExpressionAttributeValues[':expectedVersion'], 5);
+  assert.equal(result.quantity, 55);
+  assert.equal(transactions[1][1].Put.Item.delta, 10);
+});
+
+test('retries stop after maxStockRetries with a ConflictError', async () => {
+  const { database, transactions } = mockStock([component(50, 4)], Infinity, { maxStockRetries: 2 });
+
+  await assert.rejects(database.adjustStock('user-1', 'c1', -5), { name: 'ConflictError', code: 'CONFLICT' });
+  assert.equal(transactions.length, 2);
+});
+
+test('an expected version is checked once and never retried', async () => {
+  const stale = mockStock([component(50, 4)]);
+  await assert.rejects(stale.database.consumeStock('user-1', 'c1', 1, { expectedVersion: 3 }), {
+    code: 'VERSION_CONFLICT',
+    details: { current: component(50, 4) }
+  });
+  assert.equal(stale.transactions.length, 0);
+
+  const raced = mockStock([component(50, 4), component(48, 5)], 1);
+  await assert.rejects(raced.database.consumeStock('user-1', 'c1', 1, { expectedVersion: 4 }), { code: 'VERSION_CONFLICT' });
+  assert.equal(raced.transactions.length, 1);
+});
+
+test('stock never goes below zero', async () => {
+  const { database, transactions } = mockStock([component(3, 1)]);
+
+  await assert.rejects(database.consumeStock('user-1', 'c1', 5), { code: 'INSUFFICIENT_STOCK', statusCode: 409 });
+  await assert.rejects(database.consumeStock('user-1', 'c1', 0), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(database.adjustStock('user-1', 'c1', 1.5), { code: 'VALIDATION_ERROR' });
+  assert.equal(transactions.length, 0);
+});
+
+test('updates with a stale expected version fail with the current record', async () => {
+  const { database } = mockStock([component(50, 6)]);
+
+  await assert.rejects(database.updateComponent('user-1', 'c1', { location: 'Drawer A3' }, { expectedVersion: 5 }), {
+    code: 'VERSION_CONFLICT',
+    details: { current: component(50, 6) }
+  });
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertTemplates, interpolate } from '../lib/templates.js';
+
+const component = { name: '10k <0603>', quantity: 3, location: 'Drawer B' };
+
+test('placeholders resolve paths, fall through with || and escape on request', () => {
+  const data = { component: { name: 'NE555', quantity: 0, tags: ['timer'] } };
+
+  assert.equal(interpolate('{{ component.name }} x{{component.quantity || 0}}', data), 'NE555 x0');
+  assert.equal(interpolate('{{component.partNumber || component.name || "Unnamed"}}', data), 'NE555');
+  assert.equal(interpolate('{{component.partNumber || "Unnamed"}}', data), 'Unnamed');
+  assert.equal(interpolate('[{{component.missing.deeper}}]', data), '[]');
+  assert.equal(interpolate('{{name}}', { name: '<b>"x"</b>' }, { escape: true }), '&lt;b&gt;&quot;x&quot;&lt;/b&gt;');
+});
+
+test('locales fall back to the base language, the default locale, then English', () => {
+  const templates = new AlertTemplates({
+    defaultLocale: 'de',
+    templates: {
+      pt: { low_stock: { subject: 'Estoque baixo: {{component.name}}', text: 'Restam {{component.quantity}}' } },
+      de: { out_of_stock: { text: 'Ausverkauft: {{component.name}}' } }
+    }
+  });
+
+  const portuguese = templates.render('low_stock', { component }, 'pt_BR');
+  assert.deepEqual(portuguese, { locale: 'pt', subject: 'Estoque baixo: 10k <0603>', text: 'Restam 3', html: null });
+
+  const german = templates.render('out_of_stock', { component }, 'fr');
+  assert.equal(german.locale, 'de');
+  assert.equal(german.text, 'Ausverkauft: 10k <0603>');
+  // The subject falls back to English, but English HTML is not paired with German text
+  assert.match(german.subject, /Out of Stock: 10k <0603>/);
+  assert.equal(german.html, null);
+
+  const english = templates.render('low_stock', { component }, 'ja');
+  assert.equal(english.locale, 'en');
+  assert.match(english.text, /Current Stock: 3 units/);
+});
+
+test('HTML bodies carry the branding and escape component data', () => {
+  const templates = new AlertTemplates({ branding: { name: 'Lab Stores', color: '#ff0000' } });
+
+  const { text, html } = templates.render('low_stock', { component });
+
+  assert.match(text, /^Low Stock Alert - Lab Stores/);
+  assert.match(html, /#ff0000/);
+  assert.match(html, /10k &lt;0603&gt;/);
+  assert.ok(!html.includes('<0603>'));
+});
+
+test('registered parts replace only what they name and unknown alert types are rejected', () => {
+  const templates = new AlertTemplates().register('en', { low_stock: { subject: 'Reorder {{component.name}}' } });
+
+  const rendered = templates.render('low_stock', { component });
+  assert.equal(rendered.subject, 'Reorder 10k <0603>');
+  assert.match(rendered.text, /Low Stock Alert/);
+  assert.throws(() => templates.render('price_drop', { component }), { code: 'VALIDATION_ERROR' });
+});